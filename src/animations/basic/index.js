@@ -26,43 +26,62 @@ export const basicAnimations = [
     {
         id: 'waves',
         name: 'Waves',
-        function: waveAnimation,
-        description: 'Concentric circular waves emanating from the center'
+        fn: waveAnimation,
+        description: 'Concentric circular waves emanating from the center',
+        params: {
+            waveScale: { type: 'number', label: 'Wave Scale', min: 0.02, max: 0.5, step: 0.01, default: 0.1 }
+        }
     },
     {
         id: 'spiral',
         name: 'Spiral',
-        function: spiralAnimation,
-        description: 'Spiraling patterns with angular momentum'
+        fn: spiralAnimation,
+        description: 'Spiraling patterns with angular momentum',
+        params: {
+            arms: { type: 'integer', label: 'Arms', min: 1, max: 8, step: 1, default: 3 }
+        }
     },
     {
         id: 'classicTunnel',
         name: 'Classic Tunnel',
-        function: classicTunnelAnimation,
-        description: 'Traditional tunnel effect with zooming rings'
+        fn: classicTunnelAnimation,
+        description: 'Traditional tunnel effect with zooming rings',
+        params: {
+            ringSpacing: { type: 'integer', label: 'Ring Spacing', min: 2, max: 12, step: 1, default: 5 }
+        }
     },
     {
-        id: 'plasma',
-        name: 'Plasma',
-        function: plasmaAnimation,
+        id: 'classicPlasma',
+        name: 'Classic Plasma',
+        fn: plasmaAnimation,
         description: 'Classic plasma field with sine wave interference'
     },
     {
         id: 'mandala',
         name: 'Mandala',
-        function: mandalaAnimation,
-        description: 'Circular patterns with radial symmetry'
+        fn: mandalaAnimation,
+        description: 'Circular patterns with radial symmetry',
+        params: {
+            petals: { type: 'integer', label: 'Petals', min: 2, max: 12, step: 1, default: 6 }
+        }
     },
     {
         id: 'vortexTunnel',
         name: 'Vortex Tunnel',
-        function: vortexTunnelAnimation,
-        description: 'Spinning tunnel with detailed walls and rotation'
+        fn: vortexTunnelAnimation,
+        description: 'Spinning tunnel with detailed walls and rotation',
+        params: {
+            ringCount: { type: 'integer', label: 'Rings', min: 2, max: 20, step: 1, default: 10 }
+        }
     },
     {
         id: 'wormhole',
         name: 'Wormhole',
-        function: wormholeAnimation,
-        description: 'Dynamic wormhole with oscillating walls'
+        fn: wormholeAnimation,
+        description: 'Dynamic wormhole with oscillating walls',
+        params: {
+            waveFrequency: { type: 'integer', label: 'Wave Frequency', min: 1, max: 12, step: 1, default: 6 },
+            ringCount: { type: 'integer', label: 'Rings', min: 2, max: 16, step: 1, default: 8 }
+        }
     }
 ];
\ No newline at end of file
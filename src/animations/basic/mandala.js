@@ -1,7 +1,9 @@
 /**
  * Mandala Animation - Circular patterns with rotating elements
  */
-export function mandalaAnimation(grid, time, deltaTime, config, characters, colorManager) {
+import { ALL_CHARACTERS } from '../../utils/characterRamps.js';
+
+export function mandalaAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const centerX = grid.width / 2;
     const centerY = grid.height / 2;
     
@@ -13,17 +15,13 @@ export function mandalaAnimation(grid, time, deltaTime, config, characters, colo
         
         // Create circular patterns with rotating elements
         const value = Math.sin(distance * 0.8 + 
-                              Math.sin(angle * 6 + time * config.speed) + 
+                              Math.sin(angle * params.petals + time * config.speed) + 
                               time * 0.3 * config.speed);
         
         const normalizedValue = (value + 1) / 2;
-        const charIndex = Math.floor(normalizedValue * characters.length * config.density);
-        
         grid.setCell(x, y, {
-            character: charIndex < characters.length ? characters[charIndex] : ' ',
-            hue: colorManager.getHue(x, y, distance, normalizedValue, time),
-            saturation: colorManager.saturation,
-            lightness: 50 + normalizedValue * 30
+            character: characters.at(ALL_CHARACTERS, normalizedValue * config.density),
+            ...colorManager.getColor(x, y, distance, normalizedValue, time, 50 + normalizedValue * 30)
         });
     });
 }
\ No newline at end of file
@@ -1,6 +1,8 @@
 /**
  * Plasma Animation - Classic plasma effect with sine waves
  */
+import { ALL_CHARACTERS } from '../../utils/characterRamps.js';
+
 export function plasmaAnimation(grid, time, deltaTime, config, characters, colorManager) {
     grid.forEach((x, y, cell) => {
         // Create plasma effect with multiple sine waves
@@ -11,13 +13,9 @@ export function plasmaAnimation(grid, time, deltaTime, config, characters, color
             Math.sin((Math.sqrt(x * x + y * y) / Math.sqrt(grid.width * grid.width + grid.height * grid.height) * 6 + time * config.speed));
         
         const normalizedValue = (value + 4) / 8; // Maps [-4, 4] to [0, 1]
-        const charIndex = Math.floor(normalizedValue * characters.length * config.density);
-        
         grid.setCell(x, y, {
-            character: charIndex < characters.length ? characters[charIndex] : ' ',
-            hue: colorManager.getHue(x, y, Math.sqrt(x * x + y * y), normalizedValue, time),
-            saturation: colorManager.saturation,
-            lightness: 50 + normalizedValue * 30
+            character: characters.at(ALL_CHARACTERS, normalizedValue * config.density),
+            ...colorManager.getColor(x, y, Math.sqrt(x * x + y * y), normalizedValue, time, 50 + normalizedValue * 30)
         });
     });
 }
\ No newline at end of file
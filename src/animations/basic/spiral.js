@@ -1,23 +1,21 @@
 /**
  * Spiral Animation - Dynamic spiraling patterns
  */
-export function spiralAnimation(grid, time, deltaTime, config, characters, colorManager) {
+import { ALL_CHARACTERS } from '../../utils/characterRamps.js';
+
+export function spiralAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     grid.forEach((x, y, cell) => {
         const dx = x - grid.width / 2;
         const dy = y - grid.height / 2;
         const distance = Math.sqrt(dx * dx + dy * dy);
         const angle = Math.atan2(dy, dx);
         
-        const value = Math.sin(distance * 0.3 - time * 0.2 * config.speed + angle * 3);
+        const value = Math.sin(distance * 0.3 - time * 0.2 * config.speed + angle * params.arms);
         const normalizedValue = (value + 1) / 2;
         
-        const charIndex = Math.floor(normalizedValue * characters.length * config.density);
-        
         grid.setCell(x, y, {
-            character: charIndex < characters.length ? characters[charIndex] : ' ',
-            hue: colorManager.getHue(x, y, distance, normalizedValue, time),
-            saturation: colorManager.saturation,
-            lightness: 50 + normalizedValue * 30
+            character: characters.at(ALL_CHARACTERS, normalizedValue * config.density),
+            ...colorManager.getColor(x, y, distance, normalizedValue, time, 50 + normalizedValue * 30)
         });
     });
 }
\ No newline at end of file
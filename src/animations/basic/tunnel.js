@@ -1,7 +1,11 @@
 /**
  * Classic Tunnel Animation - Pulsing circular tunnel effect
  */
-export function classicTunnelAnimation(grid, time, deltaTime, config, characters, colorManager) {
+
+// Character sets of the tunnel's segments, from the center out
+const segmentSets = ['dots', 'boxDrawing', 'circles', 'ornate'];
+
+export function classicTunnelAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const centerX = grid.width / 2;
     const centerY = grid.height / 2;
     
@@ -13,30 +17,20 @@ export function classicTunnelAnimation(grid, time, deltaTime, config, characters
         
         // Create tunnel effect with zooming rings - slower speed
         const zoomFactor = 4 * config.speed; // Reduced from 10 to 4
-        const ringSpacing = 5; // Increased spacing for more defined rings
+        const { ringSpacing } = params;
         const tunnelDepth = (distance + time * zoomFactor) % ringSpacing;
         const value = (tunnelDepth / ringSpacing);
         
         // Select character based on position in tunnel
-        const section = Math.floor(distance / 5) % 4; // Create segments of different character types
-        const baseIndex = section * 35; // Jump to different sections of character array
+        const set = segmentSets[Math.floor(distance / 5) % segmentSets.length]; // Create segments of different character types
         const normalizedValue = value;
-        let charIndex;
         
-        // Enhanced pattern to create a more structured tunnel
-        if (Math.abs(tunnelDepth - ringSpacing/2) < 0.5) {
-            // Ring highlight
-            charIndex = baseIndex + Math.floor(normalizedValue * 25 * config.density);
-        } else {
-            // Regular tunnel sections
-            charIndex = baseIndex + Math.floor(normalizedValue * 35 * config.density);
-        }
+        // Enhanced pattern to create a more structured tunnel: ring highlights keep to the lighter glyphs
+        const reach = Math.abs(tunnelDepth - ringSpacing/2) < 0.5 ? 0.7 : 1;
         
         grid.setCell(x, y, {
-            character: charIndex < characters.length ? characters[charIndex] : '·',
-            hue: colorManager.getHue(x, y, distance, normalizedValue, time),
-            saturation: colorManager.saturation,
-            lightness: 50 + normalizedValue * 30
+            character: characters.at(set, normalizedValue * reach * config.density),
+            ...colorManager.getColor(x, y, distance, normalizedValue, time, 50 + normalizedValue * 30)
         });
     });
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * Vortex Tunnel Animation - Spinning tunnel effect with detailed walls
  */
-export function vortexTunnelAnimation(grid, time, deltaTime, config, characters, colorManager) {
+export function vortexTunnelAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const centerX = grid.width / 2;
     const centerY = grid.height / 2;
     
@@ -19,37 +19,30 @@ export function vortexTunnelAnimation(grid, time, deltaTime, config, characters,
         angle += time * rotationSpeed * (1 - Math.min(1, distance / (grid.width / 2)));
         
         // Create a more defined tunnel wall pattern
-        const ringCount = 10; // More rings
+        const { ringCount } = params;
         const tunnelDepth = (distance - time * zoomFactor + angle * 0.5) % ringCount;
         const value = (tunnelDepth / ringCount);
         
         // Special character selection based on position
-        let charSection, charIndex;
+        let character;
         
         // Use different characters for the tunnel walls and the spaces in between
         if (tunnelDepth < 1) {
             // Use box drawing elements for the walls
-            charSection = 2; // Box drawing section in character array
-            charIndex = charSection * 18 + Math.floor(angle * 3) % 18; // Use angle to select different box chars
+            const wallValue = ((angle * 3 / 18) % 1 + 1) % 1; // Use angle to select different box chars
+            character = characters.at('boxDrawing', wallValue);
         } else if (tunnelDepth > ringCount - 1) {
             // Use stars for the outer edge
-            charSection = 3; // Stars section in character array
-            charIndex = charSection * 21 + Math.floor(value * 21 * config.density);
+            character = characters.at('stars', value * config.density);
         } else {
             // Use geometric symbols for the general tunnel
-            charSection = 5; // Diamonds and geometric section
-            const patternValue = (value + (angle / (Math.PI * 2))) % 1; // Create spiral pattern
-            charIndex = charSection * 14 + Math.floor(patternValue * 14 * config.density);
+            const patternValue = ((value + (angle / (Math.PI * 2))) % 1 + 1) % 1; // Create spiral pattern
+            character = characters.at('geometric', patternValue * config.density);
         }
         
-        // Ensure the character index doesn't exceed array bounds
-        charIndex = Math.min(charIndex, characters.length - 1);
-        
         grid.setCell(x, y, {
-            character: characters[charIndex],
-            hue: colorManager.getHue(x, y, distance, value, time),
-            saturation: colorManager.saturation,
-            lightness: 50 + value * 30
+            character,
+            ...colorManager.getColor(x, y, distance, value, time, 50 + value * 30)
         });
     });
 }
\ No newline at end of file
@@ -1,8 +1,10 @@
 /**
  * Wave Animation - Concentric wave patterns
  */
-export function waveAnimation(grid, time, deltaTime, config, characters, colorManager) {
-    const scale = 0.1;
+import { ALL_CHARACTERS } from '../../utils/characterRamps.js';
+
+export function waveAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
+    const scale = params.waveScale;
     
     grid.forEach((x, y, cell) => {
         const distanceToCenter = Math.sqrt(
@@ -13,13 +15,9 @@ export function waveAnimation(grid, time, deltaTime, config, characters, colorMa
         const value = Math.sin(distanceToCenter * scale + time * 0.1 * config.speed);
         const normalizedValue = (value + 1) / 2; // Map from [-1, 1] to [0, 1]
         
-        const charIndex = Math.floor(normalizedValue * characters.length * config.density);
-        
         grid.setCell(x, y, {
-            character: charIndex < characters.length ? characters[charIndex] : ' ',
-            hue: colorManager.getHue(x, y, distanceToCenter, normalizedValue, time),
-            saturation: colorManager.saturation,
-            lightness: 50 + normalizedValue * 30
+            character: characters.at(ALL_CHARACTERS, normalizedValue * config.density),
+            ...colorManager.getColor(x, y, distanceToCenter, normalizedValue, time, 50 + normalizedValue * 30)
         });
     });
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * Wormhole Animation - Dynamic wormhole with oscillating tunnel walls
  */
-export function wormholeAnimation(grid, time, deltaTime, config, characters, colorManager) {
+export function wormholeAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const centerX = grid.width / 2;
     const centerY = grid.height / 2;
     
@@ -12,7 +12,7 @@ export function wormholeAnimation(grid, time, deltaTime, config, characters, col
         const angle = Math.atan2(dy, dx);
         
         // Create wormhole with oscillating tunnel walls - slower animation
-        const waveFrequency = 6; // Controls how wavy the tunnel is
+        const { waveFrequency } = params; // Controls how wavy the tunnel is
         const waveAmplitude = 0.7; // Increased from 0.5 to 0.7 for more pronounced waves
         const zoomFactor = 3 * config.speed; // Reduced from 8 to 3
         
@@ -26,44 +26,39 @@ export function wormholeAnimation(grid, time, deltaTime, config, characters, col
         
         // Calculate effective tunnel radius with the wave effect
         const tunnelRadius = distance + combinedWave * distance * 0.3;
-        const ringCount = 8; // More defined rings
+        const { ringCount } = params;
         const tunnelDepth = (tunnelRadius + time * zoomFactor) % ringCount;
         
         // Specialized character selection for wormhole
-        let charIndex;
+        let character;
         
         // Select different character sets for different parts of the wormhole
         if (distance < 10) {
-            // Center of wormhole uses circular elements
-            const centerPattern = Math.floor((angle / (Math.PI * 2) * 18) + time * 5) % 18;
-            charIndex = 28 + centerPattern; // Rounded elements section (indexes 28-46)
+            // Center of wormhole uses circular elements, cycling around the center
+            const centerPattern = ((angle / (Math.PI * 2) + time * 5 / 18) % 1 + 1) % 1;
+            character = characters.at('circles', centerPattern);
         } else {
             // Outer parts use wave-like characters
-            const section = Math.floor(angle / (Math.PI/4)) % 8;
+            const section = (Math.floor(angle / (Math.PI/4)) % 8 + 8) % 8;
             
             if (tunnelDepth < 1) {
-                // Wormhole walls use math/wave symbols
-                charIndex = 146 + (section % 6); // Wave/ripple section
+                // Wormhole walls use wave symbols
+                character = characters.at('waves', (section % 6) / 6);
             } else if (section % 2 === 0) {
                 // Alternate between arrows and geometric shapes
-                charIndex = 40 + Math.floor(timePulse * 19); // Arrows section
+                character = characters.at('arrows', timePulse);
             } else {
                 // Use floral/ornate characters 
-                charIndex = 34 + Math.floor((tunnelDepth / ringCount) * 12);
+                character = characters.at('ornate', tunnelDepth / ringCount);
             }
         }
         
-        // Ensure the index is within bounds
-        charIndex = Math.min(Math.max(0, charIndex), characters.length - 1);
-        
         // Add visual depth by adjusting lightness based on tunnel depth
         const depthLightness = 40 + (tunnelDepth / ringCount) * 40;
         
         grid.setCell(x, y, {
-            character: characters[charIndex],
-            hue: colorManager.getHue(x, y, tunnelRadius, timePulse, time),
-            saturation: colorManager.saturation,
-            lightness: depthLightness
+            character,
+            ...colorManager.getColor(x, y, tunnelRadius, timePulse, time, depthLightness)
         });
     });
 }
\ No newline at end of file
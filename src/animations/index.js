@@ -9,47 +9,88 @@ import { lavaLampAnimation } from './plasma/lavalamp/index.js';
 import { flowFieldAnimation } from './plasma/flowfield.js';
 import { nebulaAnimation } from './plasma/nebula.js';
 import { noiseCloudAnimation } from './plasma/noisecloud.js';
+import { basicAnimations } from './basic/index.js';
 
-// Create animation registry with metadata
-const animations = [
+// Animation categories (packs), in navigation order
+export const animationCategories = [
+    {
+        id: 'plasma',
+        name: 'Plasma',
+        description: 'Organic fields, fluids and particle flows'
+    },
+    {
+        id: 'basic',
+        name: 'Basic',
+        description: 'Classic demoscene waves, tunnels and spirals'
+    }
+];
+
+// Plasma pack with metadata
+// params: per-animation parameter schema (see core/animationParams.js), passed to the animation as its last argument
+const plasmaAnimations = [
     {
         id: 'lavalamp',
         name: 'Lava Lamp',
         fn: lavaLampAnimation,
-        description: 'Fluid-like blobs that morph, split, and combine'
+        description: 'Fluid-like blobs that morph, split, and combine',
+        params: {
+            maxBlobs: { type: 'integer', label: 'Max Blobs', min: 0, max: 30, step: 1, default: 0, auto: true },
+            spawnInterval: { type: 'number', label: 'Spawn Interval', min: 0, max: 3, step: 0.1, default: 0, auto: true }
+        }
     },
     {
         id: 'plasma',
         name: 'Plasma',
         fn: plasmaAnimation,
-        description: 'Smooth plasma-like distortion fields'
+        description: 'Smooth plasma-like distortion fields',
+        params: {
+            frequency: { type: 'number', label: 'Frequency', min: 1, max: 12, step: 0.5, default: 6 }
+        }
     },
     {
         id: 'nebula',
         name: 'Nebula',
         fn: nebulaAnimation,
-        description: 'Cosmic gas cloud formations'
+        description: 'Cosmic gas cloud formations',
+        params: {
+            swirl: { type: 'integer', label: 'Swirl Arms', min: 0, max: 8, step: 1, default: 3 }
+        }
     },
     {
         id: 'flowfield',
         name: 'Flow Field',
         fn: flowFieldAnimation,
-        description: 'Particles following dynamic vector fields'
+        description: 'Particles following dynamic vector fields',
+        params: {
+            noiseScale: { type: 'number', label: 'Noise Scale', min: 0.02, max: 0.3, step: 0.01, default: 0.1 }
+        }
     },
     {
         id: 'cellular',
         name: 'Cellular',
         fn: cellularAnimation,
-        description: 'Cell-like structures that grow and interact'
+        description: 'Cell-like structures that grow and interact',
+        params: {
+            maxCells: { type: 'integer', label: 'Max Cells', min: 0, max: 20, step: 1, default: 0, auto: true }
+        }
     },
     {
         id: 'noisecloud',
         name: 'Noise Cloud',
         fn: noiseCloudAnimation,
-        description: 'Cloud-like formations based on noise'
+        description: 'Cloud-like formations based on noise',
+        params: {
+            cloudThreshold: { type: 'number', label: 'Cloud Threshold', min: 0, max: 0.8, step: 0.05, default: 0.4 }
+        }
     }
 ];
 
+// Create animation registry, grouped by category
+const animations = [
+    ...plasmaAnimations.map(animation => ({ ...animation, category: 'plasma' })),
+    ...basicAnimations.map(animation => ({ ...animation, category: 'basic' }))
+];
+
 // Export the animations array
 export { animations };
 
@@ -8,20 +8,22 @@
  * @param {number} time - Current time in seconds
  * @param {number} deltaTime - Time since last update in seconds
  * @param {Object} config - Configuration options
- * @param {Array} characters - Available characters
+ * @param {CharacterRamps} characters - Character ramps (see utils/characterRamps.js)
  * @param {ColorManager} colorManager - Color manager
+ * @param {Object} params - Animation parameters (frequency)
  */
-export function plasmaAnimation(grid, time, deltaTime, config, characters, colorManager) {
+export function plasmaAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const width = grid.width;
     const height = grid.height;
+    const { frequency } = params;
     
     grid.forEach((x, y, cell) => {
         // Create plasma effect with multiple sine waves
         const value = 
-            Math.sin((x / width * 6 + time * 0.5 * config.speed)) + 
-            Math.sin((y / height * 6 + time * 0.5 * config.speed)) + 
-            Math.sin(((x + y) / (width + height) * 6 + time * 0.5 * config.speed)) + 
-            Math.sin((Math.sqrt(x * x + y * y) / Math.sqrt(width * width + height * height) * 6 + time * config.speed));
+            Math.sin((x / width * frequency + time * 0.5 * config.speed)) + 
+            Math.sin((y / height * frequency + time * 0.5 * config.speed)) + 
+            Math.sin(((x + y) / (width + height) * frequency + time * 0.5 * config.speed)) + 
+            Math.sin((Math.sqrt(x * x + y * y) / Math.sqrt(width * width + height * height) * frequency + time * config.speed));
         
         const normalizedValue = (value + 4) / 8; // Maps [-4, 4] to [0, 1]
         
@@ -30,30 +32,22 @@ export function plasmaAnimation(grid, time, deltaTime, config, characters, color
         let charSet;
         if (normalizedValue < 0.33) {
             // Use dots for low values
-            charSet = characters.slice(0, 11);
+            charSet = 'dots';
         } else if (normalizedValue < 0.66) {
             // Use blocks or math symbols for medium values
-            charSet = characters.slice(11, 29).concat(characters.slice(127, 137));
+            charSet = ['blocks', 'math'];
         } else {
             // Use stars or waves for high values
-            charSet = characters.slice(29, 47).concat(characters.slice(137, 143));
+            charSet = ['stars', 'waves'];
         }
         
-        const charIndex = Math.floor(normalizedValue * charSet.length * config.density);
-        
-        // Ensure the index is within bounds
-        const safeIndex = Math.min(Math.max(0, charIndex), charSet.length - 1);
-        
         // Get color
         const distance = Math.sqrt(x * x + y * y);
-        const hue = colorManager.getHue(x, y, distance, normalizedValue, time);
         const lightness = 50 + normalizedValue * 30;
         
         grid.setCell(x, y, {
-            character: charSet[safeIndex],
-            hue,
-            saturation: colorManager.saturation,
-            lightness
+            character: characters.at(charSet, normalizedValue * config.density),
+            ...colorManager.getColor(x, y, distance, normalizedValue, time, lightness)
         });
     });
 }
\ No newline at end of file
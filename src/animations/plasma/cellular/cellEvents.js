@@ -6,8 +6,9 @@ import { random } from '../../../utils/math.js';
 /**
  * Burst a random cell
  * @param {Object} system - The cell system 
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function burstRandomCell(system) {
+export function burstRandomCell(system, rng) {
     // Find active mature cells
     const matureCells = system.cells.filter(c => 
         c.active && !c.isGrowing && c.energy > 0.5);
@@ -15,7 +16,7 @@ export function burstRandomCell(system) {
     if (matureCells.length === 0) return;
     
     // Select a random cell
-    const cell = matureCells[Math.floor(random(0, matureCells.length))];
+    const cell = matureCells[Math.floor(random(rng, 0, matureCells.length))];
     
     // Burst effect - rapid shrinkage followed by deactivation
     cell.targetRadius *= 0.5;
@@ -28,19 +29,20 @@ export function burstRandomCell(system) {
 /**
  * Accelerate a random cell
  * @param {Object} system - The cell system
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function accelerateRandomCell(system) {
+export function accelerateRandomCell(system, rng) {
     // Find active cells
     const activeCells = system.cells.filter(c => c.active);
     
     if (activeCells.length === 0) return;
     
     // Select a random cell
-    const cell = activeCells[Math.floor(random(0, activeCells.length))];
+    const cell = activeCells[Math.floor(random(rng, 0, activeCells.length))];
     
     // Apply random acceleration
-    cell.vx += random(-0.01, 0.01);
-    cell.vy += random(-0.01, 0.01);
+    cell.vx += random(rng, -0.01, 0.01);
+    cell.vy += random(rng, -0.01, 0.01);
     
     // Add energy
     cell.energy = Math.min(1, cell.energy + 0.2);
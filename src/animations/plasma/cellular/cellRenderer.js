@@ -2,6 +2,25 @@
  * Cell Renderer - Renders cells to the character grid
  */
 import { oscillate, lerp } from '../../../utils/math.js';
+import { registerAnimationCharacterSet } from '../../../utils/characterRamps.js';
+
+// Cell membrane characters
+registerAnimationCharacterSet('membranes', [
+    '◌', '◯', '⦾', '⦿', '◍', '◎', '◙', '◔', '◕', '◖', '◗', '◴', '◵', '◶', '◷'
+]);
+
+// Organelle characters
+registerAnimationCharacterSet('organelles', [
+    '✺', '✹', '✸', '✷', '✶', '✵', '✴', '✳', '✲', '✱', 
+    '✽', '✾', '✿', '❀', '❁', '❃', '❇', '❈', '❉', '❊', '❋'
+]);
+
+// Select organic/circular characters with more variety
+registerAnimationCharacterSet('cells', [
+    '○', '◎', '●', '◐', '◑', '◒', '◓', '◔', '◕', '◖', '◗', '◍', '◉',
+    '⊙', '⊚', '⊛', '❀', '❁', '❂', '☘', '♧', '♣', '♠', '✧', '✦', 
+    '⚬', '⚭', '⚮', '◌', '◯', '⟡', '⦿', '⨀', '⬤'
+]);
 
 /**
  * Render all cells to the grid
@@ -10,27 +29,11 @@ import { oscillate, lerp } from '../../../utils/math.js';
  * @param {number} time - Current time
  * @param {number} slowTime - Scaled time
  * @param {Object} config - Configuration
+ * @param {CharacterRamps} characters - Character ramps
  * @param {Object} colorManager - Color manager
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function renderCells(grid, cellSystem, time, slowTime, config, colorManager) {
-    // Cell membrane characters
-    const membraneChars = [
-        '◌', '◯', '⦾', '⦿', '◍', '◎', '◙', '◔', '◕', '◖', '◗', '◴', '◵', '◶', '◷'
-    ];
-    
-    // Organelle characters
-    const organelleChars = [
-        '✺', '✹', '✸', '✷', '✶', '✵', '✴', '✳', '✲', '✱', 
-        '✽', '✾', '✿', '❀', '❁', '❃', '❇', '❈', '❉', '❊', '❋'
-    ];
-    
-    // Select organic/circular characters with more variety
-    const cellChars = [
-        '○', '◎', '●', '◐', '◑', '◒', '◓', '◔', '◕', '◖', '◗', '◍', '◉',
-        '⊙', '⊚', '⊛', '❀', '❁', '❂', '☘', '♧', '♣', '♠', '✧', '✦', 
-        '⚬', '⚭', '⚮', '◌', '◯', '⟡', '⦿', '⨀', '⬤'
-    ];
-
+export function renderCells(grid, cellSystem, time, slowTime, config, characters, colorManager, rng) {
     // Render the cells
     grid.forEach((x, y, cell) => {
         // Calculate cell influences
@@ -110,7 +113,7 @@ export function renderCells(grid, cellSystem, time, slowTime, config, colorManag
         totalInfluence = Math.min(1, totalInfluence);
         
         renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosestDist, totalInfluence, 
-            slowTime, cellChars, membraneChars, organelleChars, config, colorManager, time);
+            slowTime, characters, config, colorManager, time, rng);
     });
 }
 
@@ -192,27 +195,27 @@ function calculateCellInfluence(x, y, cellSystem, grid, slowTime, closestCellDis
  * @param {number} secondClosestDist - Second closest cell distance
  * @param {number} totalInfluence - Total cell influence
  * @param {number} slowTime - Scaled time
- * @param {Array} cellChars - Cell characters
- * @param {Array} membraneChars - Membrane characters
- * @param {Array} organelleChars - Organelle characters
+ * @param {CharacterRamps} characters - Character ramps
  * @param {Object} config - Configuration
  * @param {Object} colorManager - Color manager
  * @param {number} time - Current time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
 function renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosestDist, totalInfluence, 
-                        slowTime, cellChars, membraneChars, organelleChars, config, colorManager, time) {
+                        slowTime, characters, config, colorManager, time, rng) {
     // Determine if point is on a membrane, in cytoplasm, or an organelle
     const point = closestCell.fieldPoints.get(`${x},${y}`);
     const normalizedDist = point ? point.dist : 1;
     
     // Determine cell region and visualization
     let charSet, region, lightnessBase, saturationMod;
+    let reach = 1; // Share of the character ramp the region uses
     
     // Membrane effect - stronger at the edges
     if (normalizedDist > 0.85 && normalizedDist < 1.05) {
         // Cell membrane
         region = 'membrane';
-        charSet = membraneChars;
+        charSet = 'membranes';
         lightnessBase = 65;
         saturationMod = 1.0;
         
@@ -227,9 +230,9 @@ function renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosest
         totalInfluence *= membranePattern;
     }
     // Organelle region - inner structures that appear based on cell state
-    else if (normalizedDist < 0.4 && closestCell.energy > 0.7 && Math.random() < 0.3) {
+    else if (normalizedDist < 0.4 && closestCell.energy > 0.7 && rng() < 0.3) {
         region = 'organelle';
-        charSet = organelleChars;
+        charSet = 'organelles';
         lightnessBase = 70;
         saturationMod = 1.2;
         
@@ -240,7 +243,7 @@ function renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosest
     // Cytoplasm - inner cell region
     else if (normalizedDist < 0.85) {
         region = 'cytoplasm';
-        charSet = cellChars;
+        charSet = 'cells';
         lightnessBase = 50;
         saturationMod = 0.8;
         
@@ -254,7 +257,8 @@ function renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosest
     // Extracellular region - outside but still influenced
     else {
         region = 'exterior';
-        charSet = cellChars.slice(0, 10); // Fewer characters for exterior
+        charSet = 'cells';
+        reach = 0.3; // Fewer, lighter characters for exterior
         lightnessBase = 40;
         saturationMod = 0.6;
         
@@ -264,8 +268,6 @@ function renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosest
     
     // Density affects character selection
     const densityFactor = config.density * 0.9 + 0.1;
-    const charIndex = Math.floor(totalInfluence * charSet.length * densityFactor);
-    const safeIndex = Math.min(Math.max(0, charIndex), charSet.length - 1);
     
     // Calculate cell interaction effects
     const interactionFactor = 1 - Math.min(1, secondClosestDist / closestCellDist);
@@ -299,11 +301,16 @@ function renderCellPoint(x, y, grid, closestCell, closestCellDist, secondClosest
         lightness += 10 * activity * totalInfluence;
     }
     
+    // Cells tint the color mode's hue with their own; palette colors are used as they are
+    const color = colorManager.getColor(x, y, normalizedDist, totalInfluence, time, lightness,
+        colorManager.saturation * saturationMod);
+    if (!colorManager.palette) {
+        color.hue = (hue + color.hue) % 360;
+    }
+    
     // Set cell in grid
     grid.setCell(x, y, {
-        character: charSet[safeIndex],
-        hue: (hue + colorManager.getHue(x, y, normalizedDist, totalInfluence, time)) % 360,
-        saturation: colorManager.saturation * saturationMod,
-        lightness
+        character: characters.at(charSet, totalInfluence * densityFactor * reach),
+        ...color
     });
 }
\ No newline at end of file
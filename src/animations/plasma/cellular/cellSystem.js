@@ -26,10 +26,11 @@ export function createCellSystem() {
  * @param {number} time - Current time
  * @param {number} deltaTime - Delta time
  * @param {Object} config - Configuration 
+ * @param {Object} params - Animation parameters (maxCells; 0 derives it from density)
  */
-export function updateCellSystem(system, time, deltaTime, config) {
-    // Update max cells based on density
-    system.maxCells = Math.floor(4 + config.density * 8);
+export function updateCellSystem(system, time, deltaTime, config, params = {}) {
+    // Update max cells based on density unless set explicitly
+    system.maxCells = params.maxCells || Math.floor(4 + config.density * 8);
     
     // Update spawn interval inversely with speed
     system.spawnInterval = Math.max(1, 3 - config.speed * 2);
@@ -47,22 +48,23 @@ export function updateCellSystem(system, time, deltaTime, config) {
  * @param {number} time - Current time
  * @param {number} slowTime - Scaled time
  * @param {number} deltaTime - Delta time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function evolveCellSystem(system, time, slowTime, deltaTime) {
+export function evolveCellSystem(system, time, slowTime, deltaTime, rng) {
     // Handle cell spawning
     if (time - system.lastSpawnTime > system.spawnInterval) {
         // Try to spawn a new cell if under max
         if (system.cells.filter(c => c.active).length < system.maxCells) {
-            spawnCell(system, time, slowTime);
+            spawnCell(system, time, slowTime, rng);
         }
         system.lastSpawnTime = time;
     }
     
     // Random events
     if (time > system.nextEventTime) {
-        triggerCellEvent(system, time, slowTime);
+        triggerCellEvent(system, time, slowTime, rng);
         // Set next event time (every 3-8 seconds)
-        system.nextEventTime = time + random(3, 8);
+        system.nextEventTime = time + random(rng, 3, 8);
     }
     
     // Update all cells
@@ -81,25 +83,26 @@ export function evolveCellSystem(system, time, slowTime, deltaTime) {
  * @param {Object} system - The cell system
  * @param {number} time - Current time
  * @param {number} slowTime - Scaled time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function spawnCell(system, time, slowTime) {
+export function spawnCell(system, time, slowTime, rng) {
     // Create a new cell with random properties
     const cell = {
         id: system.nextCellId++,
-        x: random(0.15, 0.85), // Position (0-1 range)
-        y: random(0.15, 0.85),
-        vx: random(-0.002, 0.002), // Velocity
-        vy: random(-0.002, 0.002),
-        radius: random(0.08, 0.15), // Size
-        targetRadius: random(0.1, 0.2),
-        energy: random(0.7, 1.0),
+        x: random(rng, 0.15, 0.85), // Position (0-1 range)
+        y: random(rng, 0.15, 0.85),
+        vx: random(rng, -0.002, 0.002), // Velocity
+        vy: random(rng, -0.002, 0.002),
+        radius: random(rng, 0.08, 0.15), // Size
+        targetRadius: random(rng, 0.1, 0.2),
+        energy: random(rng, 0.7, 1.0),
         age: 0,
-        lifespan: random(10, 20),
-        hueOffset: random(0, 120),
+        lifespan: random(rng, 10, 20),
+        hueOffset: random(rng, 0, 120),
         isGrowing: true,
-        growthRate: random(0.01, 0.03),
-        divideTime: random(8, 12),
-        metabolismRate: random(0.005, 0.01),
+        growthRate: random(rng, 0.01, 0.03),
+        divideTime: random(rng, 8, 12),
+        metabolismRate: random(rng, 0.005, 0.01),
         fieldPoints: new Map(),
         active: true,
         birthTime: time
@@ -114,20 +117,21 @@ export function spawnCell(system, time, slowTime) {
  * @param {Object} system - The cell system
  * @param {number} time - Current time
  * @param {number} slowTime - Scaled time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function triggerCellEvent(system, time, slowTime) {
+export function triggerCellEvent(system, time, slowTime, rng) {
     // Only proceed if we have cells
     if (system.cells.length === 0) return;
     
     // Choose a random event
-    const eventType = Math.floor(random(0, 3));
+    const eventType = Math.floor(random(rng, 0, 3));
     
     switch(eventType) {
         case 0: // Cell burst
-            burstRandomCell(system);
+            burstRandomCell(system, rng);
             break;
         case 1: // Cell acceleration
-            accelerateRandomCell(system);
+            accelerateRandomCell(system, rng);
             break;
         case 2: // Energy pulse
             energizeCells(system);
@@ -6,34 +6,50 @@ import { createCellSystem, updateCellSystem, evolveCellSystem } from './cellSyst
 import { renderCells } from './cellRenderer.js';
 
 /**
- * Create a cellular animation
- * @param {CharacterGrid} grid - The character grid
- * @param {number} time - Current time in seconds
- * @param {number} deltaTime - Time since last update in seconds
- * @param {Object} config - Configuration options
- * @param {Array} characters - Available characters
- * @param {ColorManager} colorManager - Color manager
+ * Cellular animation object; the cell system is per-instance state owned by the engine
  */
-export function cellularAnimation(grid, time, deltaTime, config, characters, colorManager) {
-    const width = grid.width;
-    const height = grid.height;
-    
-    // Initialize or update cell system
-    if (!grid.__cellSystem) {
-        grid.__cellSystem = createCellSystem();
+export const cellularAnimation = {
+    /**
+     * Create the cell system
+     * @returns {Object} Cell system
+     */
+    init() {
+        return createCellSystem();
+    },
+
+    /**
+     * Keep the cells through a resize; their positions and radii are fractions of the grid
+     * @param {Object} cellSystem - Cell system created by init
+     * @returns {Object} The same cell system
+     */
+    resize(cellSystem) {
+        return cellSystem;
+    },
+
+    /**
+     * Advance and draw the cells
+     * @param {Object} cellSystem - Cell system created by init
+     * @param {CharacterGrid} grid - The character grid
+     * @param {number} time - Current time in seconds
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Object} config - Configuration options
+     * @param {CharacterRamps} characters - Character ramps (see utils/characterRamps.js)
+     * @param {ColorManager} colorManager - Color manager
+     * @param {Object} params - Animation parameters (maxCells; 0 derives it from density)
+     * @param {Function} rng - The engine's seeded random generator
+     */
+    update(cellSystem, grid, time, deltaTime, config, characters, colorManager, params = {}, rng) {
+        // Apply configuration settings
+        updateCellSystem(cellSystem, time, deltaTime, config, params);
+        
+        // Apply system time
+        const scaledSpeed = config.speed * 0.3;
+        const slowTime = time * scaledSpeed;
+        
+        // Render the cells
+        renderCells(grid, cellSystem, time, slowTime, config, characters, colorManager, rng);
+        
+        // Update cell system for next frame
+        evolveCellSystem(cellSystem, time, slowTime, deltaTime, rng);
     }
-    
-    // Apply configuration settings
-    const cellSystem = grid.__cellSystem;
-    updateCellSystem(cellSystem, time, deltaTime, config);
-    
-    // Apply system time
-    const scaledSpeed = config.speed * 0.3;
-    const slowTime = time * scaledSpeed;
-    
-    // Render the cells
-    renderCells(grid, cellSystem, time, slowTime, config, colorManager);
-    
-    // Update cell system for next frame
-    evolveCellSystem(cellSystem, time, slowTime, deltaTime);
-}
\ No newline at end of file
+};
@@ -8,10 +8,11 @@
  * @param {number} time - Current time in seconds
  * @param {number} deltaTime - Time since last update in seconds
  * @param {Object} config - Configuration options
- * @param {Array} characters - Available characters
+ * @param {CharacterRamps} characters - Character ramps (see utils/characterRamps.js)
  * @param {ColorManager} colorManager - Color manager
+ * @param {Object} params - Animation parameters (noiseScale)
  */
-export function flowFieldAnimation(grid, time, deltaTime, config, characters, colorManager) {
+export function flowFieldAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const width = grid.width;
     const height = grid.height;
     
@@ -30,7 +31,7 @@ export function flowFieldAnimation(grid, time, deltaTime, config, characters, co
     ];
     
     // Create a smooth, evolving vector field
-    const noiseScale = 0.1;
+    const { noiseScale } = params;
     
     grid.forEach((x, y, cell) => {
         // Calculate flow direction using noise fields
@@ -66,18 +67,12 @@ export function flowFieldAnimation(grid, time, deltaTime, config, characters, co
         const safeIndex = Math.min(Math.max(0, charIndex), flowChars.length - 1);
                 
         // Get color based on flow direction and intensity
-        const hue = colorManager.getHue(x, y, dist, normalizedAngle, time);
-        
-        // Use full saturation from color manager
-        const saturation = colorManager.saturation;
         // Brighter for stronger flows
         const lightness = 40 + intensity * 35;
         
         grid.setCell(x, y, {
             character: flowChars[safeIndex],
-            hue,
-            saturation: colorManager.saturation,
-            lightness
+            ...colorManager.getColor(x, y, dist, normalizedAngle, time, lightness)
         });
     });
 }
\ No newline at end of file
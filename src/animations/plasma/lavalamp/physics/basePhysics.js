@@ -14,8 +14,9 @@ import { spawnNewBlobs } from './spawnPhysics.js';
  * @param {number} time - Current time for motion
  * @param {number} deltaTime - Time elapsed since last frame
  * @param {number} colorTime - Separate time value for color calculations
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function applyPhysics(blobSystem, time, deltaTime, colorTime) {
+export function applyPhysics(blobSystem, time, deltaTime, colorTime, rng) {
     const { blobs } = blobSystem;
     const dt = Math.min(deltaTime, 0.1); // Cap delta time to prevent instability
     
@@ -77,15 +78,15 @@ export function applyPhysics(blobSystem, time, deltaTime, colorTime) {
         if (blob.y > 1) blob.y -= 1;
         
         // Update blob shape
-        updateBlobShape(blob, time, dt);
+        updateBlobShape(blob, time, dt, rng);
         
         // Update colors using colorTime (separate from motion time)
-        updateBlobColor(blob, blobSystem.colorTime, dt);
+        updateBlobColor(blob, blobSystem.colorTime, dt, rng);
     }
     
     // Spawn new blobs if needed
-    spawnNewBlobs(blobSystem, time);
+    spawnNewBlobs(blobSystem, time, rng);
     
     // Apply blob interactions - pass the blobSystem for splitting and merging
-    applyBlobInteractions(blobs, dt, time, blobSystem);
+    applyBlobInteractions(blobs, dt, time, blobSystem, rng);
 }
\ No newline at end of file
@@ -11,9 +11,10 @@ import { random } from '../../../../utils/math.js';
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {number} time - Current time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  * @returns {Object} A new blob with inherited properties
  */
-export function createSplitBlob(parentBlob, size, x, y, time) {
+export function createSplitBlob(parentBlob, size, x, y, time, rng) {
     // Ensure position is within bounds
     x = Math.max(0.05, Math.min(0.95, x));
     y = Math.max(0.05, Math.min(0.95, y));
@@ -24,38 +25,38 @@ export function createSplitBlob(parentBlob, size, x, y, time) {
     for (let i = 0; i < vertexCount; i++) {
         const angle = (i / vertexCount) * Math.PI * 2;
         // Slightly different shape from parent
-        const variationFactor = 0.7 + random(0, 0.6);
+        const variationFactor = 0.7 + random(rng, 0, 0.6);
         const distance = size * variationFactor;
         
         vertices.push({
             angle,
             distance,
             targetDistance: distance,
-            changeRate: random(0.7, 1.8) * parentBlob.morphRate
+            changeRate: random(rng, 0.7, 1.8) * parentBlob.morphRate
         });
     }
     
     // Create a new blob with some properties inherited from parent
     return {
-        id: Math.random(),
+        id: rng(),
         x, y, 
         size,
-        vx: parentBlob.vx * (0.5 + random(0, 1)), 
-        vy: parentBlob.vy * (0.5 + random(0, 1)),
+        vx: parentBlob.vx * (0.5 + random(rng, 0, 1)), 
+        vy: parentBlob.vy * (0.5 + random(rng, 0, 1)),
         vertices,
         currentSize: size,
         age: 0,
-        lifespan: parentBlob.lifespan * (0.4 + random(0, 0.5)), // Much shorter lifespan for split blobs
+        lifespan: parentBlob.lifespan * (0.4 + random(rng, 0, 0.5)), // Much shorter lifespan for split blobs
         opacity: 0.3, // Start partially visible
-        hue: (parentBlob.hue + random(-20, 20) + 360) % 360, // Similar but not identical color
-        saturation: Math.min(100, parentBlob.saturation + random(-10, 10)),
-        lightness: Math.min(85, parentBlob.lightness + random(-10, 15)),
+        hue: (parentBlob.hue + random(rng, -20, 20) + 360) % 360, // Similar but not identical color
+        saturation: Math.min(100, parentBlob.saturation + random(rng, -10, 10)),
+        lightness: Math.min(85, parentBlob.lightness + random(rng, -10, 15)),
         targetSaturation: parentBlob.targetSaturation,
         targetLightness: parentBlob.targetLightness,
-        hueShift: parentBlob.hueShift * (random(0.5, 1.5)),
-        pulsePhase: random(0, Math.PI * 2),
-        pulseRate: parentBlob.pulseRate * (0.8 + random(0, 0.4)),
-        morphRate: parentBlob.morphRate * (0.8 + random(0, 0.4))
+        hueShift: parentBlob.hueShift * (random(rng, 0.5, 1.5)),
+        pulsePhase: random(rng, 0, Math.PI * 2),
+        pulseRate: parentBlob.pulseRate * (0.8 + random(rng, 0, 0.4)),
+        morphRate: parentBlob.morphRate * (0.8 + random(rng, 0, 0.4))
     };
 }
 
@@ -64,9 +65,10 @@ export function createSplitBlob(parentBlob, size, x, y, time) {
  * @param {Object} blobA - First parent blob
  * @param {Object} blobB - Second parent blob
  * @param {number} time - Current time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  * @returns {Object} A new merged blob
  */
-export function createMergedBlob(blobA, blobB, time) {
+export function createMergedBlob(blobA, blobB, time, rng) {
     // Calculate center position between the two blobs
     const x = (blobA.x + blobB.x) / 2;
     const y = (blobA.y + blobB.y) / 2;
@@ -75,8 +77,8 @@ export function createMergedBlob(blobA, blobB, time) {
     const size = Math.min(0.4, (blobA.size + blobB.size) * 0.85);
     
     // Average the velocities with a random factor
-    const vx = (blobA.vx + blobB.vx) * 0.5 * (0.8 + random(0, 0.4));
-    const vy = (blobA.vy + blobB.vy) * 0.5 * (0.8 + random(0, 0.4));
+    const vx = (blobA.vx + blobB.vx) * 0.5 * (0.8 + random(rng, 0, 0.4));
+    const vy = (blobA.vy + blobB.vy) * 0.5 * (0.8 + random(rng, 0, 0.4));
     
     // Create vertices for the new blob
     const vertexCount = Math.max(blobA.vertices.length, blobB.vertices.length);
@@ -88,19 +90,19 @@ export function createMergedBlob(blobA, blobB, time) {
         const distFactorB = blobB.vertices[i % blobB.vertices.length].distance / blobB.size;
         const combinedDistFactor = (distFactorA + distFactorB) * 0.5;
         
-        const distance = size * (combinedDistFactor * 0.7 + random(0.2, 0.5));
+        const distance = size * (combinedDistFactor * 0.7 + random(rng, 0.2, 0.5));
         vertices.push({
             angle,
             distance,
             targetDistance: distance,
-            changeRate: random(0.5, 1.5) * Math.max(blobA.morphRate, blobB.morphRate)
+            changeRate: random(rng, 0.5, 1.5) * Math.max(blobA.morphRate, blobB.morphRate)
         });
     }
     
     // Average lifespan, but without major bonuses to prevent accumulation
     const avgLifespan = (blobA.lifespan + blobB.lifespan) * 0.5;
     const avgAge = (blobA.age + blobB.age) * 0.5;
-    const extraLifespan = 2 + random(0, 3); // Smaller bonus time from merging
+    const extraLifespan = 2 + random(rng, 0, 3); // Smaller bonus time from merging
     
     // Average the hues (being careful with the circular nature of hue)
     const hueDiff = ((blobB.hue - blobA.hue + 540) % 360) - 180;
@@ -108,7 +110,7 @@ export function createMergedBlob(blobA, blobB, time) {
     
     // Create the merged blob
     return {
-        id: Math.random(),
+        id: rng(),
         x, y, 
         size,
         vx, vy,
@@ -123,8 +125,8 @@ export function createMergedBlob(blobA, blobB, time) {
         targetSaturation: Math.min(100, (blobA.targetSaturation + blobB.targetSaturation) * 0.55),
         targetLightness: Math.min(85, (blobA.targetLightness + blobB.targetLightness) * 0.55),
         hueShift: (blobA.hueShift + blobB.hueShift) * 0.5,
-        pulsePhase: random(0, Math.PI * 2),
+        pulsePhase: random(rng, 0, Math.PI * 2),
         pulseRate: (blobA.pulseRate + blobB.pulseRate) * 0.5,
-        morphRate: (blobA.morphRate + blobB.morphRate) * 0.5 * (1 + random(0, 0.5))
+        morphRate: (blobA.morphRate + blobB.morphRate) * 0.5 * (1 + random(rng, 0, 0.5))
     };
 }
\ No newline at end of file
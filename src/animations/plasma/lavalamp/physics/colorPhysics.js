@@ -9,8 +9,9 @@ import { random, lerp } from '../../../../utils/math.js';
  * @param {Object} blob - The blob to update
  * @param {number} time - Current time
  * @param {number} dt - Delta time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function updateBlobColor(blob, time, dt) {
+export function updateBlobColor(blob, time, dt, rng) {
     // Get color manager from blob system if we're in a system context
     const colorManager = blob.system?.colorManager;
     
@@ -67,15 +68,15 @@ export function updateBlobColor(blob, time, dt) {
         if (blob.hue < 0) blob.hue += 360;
         
         // More frequent adjustments to saturation and lightness targets
-        if (Math.random() < 0.02) { // 4x more frequent
-            blob.targetSaturation = random(80, 100);
-            blob.targetLightness = random(60, 85);
+        if (rng() < 0.02) { // 4x more frequent
+            blob.targetSaturation = random(rng, 80, 100);
+            blob.targetLightness = random(rng, 60, 85);
         }
     }
     
     // More frequent and stronger hue shift changes
-    if (Math.random() < 0.01) { // More frequent changes
-        blob.hueShift = random(-8, 8); // Much larger range - almost 3x
+    if (rng() < 0.01) { // More frequent changes
+        blob.hueShift = random(rng, -8, 8); // Much larger range - almost 3x
     }
     
     // Move current values toward targets MUCH faster
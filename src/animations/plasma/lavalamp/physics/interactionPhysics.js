@@ -11,27 +11,28 @@ import { createSplitBlob, createMergedBlob } from './blobCreation.js';
  * @param {number} dt - Delta time
  * @param {number} time - Current time
  * @param {Object} blobSystem - The blob system
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function applyBlobInteractions(blobs, dt, time, blobSystem) {
+export function applyBlobInteractions(blobs, dt, time, blobSystem, rng) {
     // Manage blob splitting and merging timers
-    const shouldTrySplit = time - blobSystem.lastSplitTime > blobSystem.splitInterval + (Math.random() * blobSystem.actionVariance);
-    const shouldTryMerge = time - blobSystem.lastMergeTime > blobSystem.mergeInterval + (Math.random() * blobSystem.actionVariance);
-    const shouldTrySizeChange = time - blobSystem.lastSizeChangeTime > blobSystem.sizeChangeInterval + (Math.random() * blobSystem.actionVariance);
+    const shouldTrySplit = time - blobSystem.lastSplitTime > blobSystem.splitInterval + (rng() * blobSystem.actionVariance);
+    const shouldTryMerge = time - blobSystem.lastMergeTime > blobSystem.mergeInterval + (rng() * blobSystem.actionVariance);
+    const shouldTrySizeChange = time - blobSystem.lastSizeChangeTime > blobSystem.sizeChangeInterval + (rng() * blobSystem.actionVariance);
     
     // Handle size change if needed
     if (shouldTrySizeChange && blobs.length > 0) {
-        handleBlobSizeChange(blobs, time, blobSystem);
+        handleBlobSizeChange(blobs, time, blobSystem, rng);
     }
     
     // Try to split a blob if needed
     if (shouldTrySplit && blobs.length < blobSystem.maxBlobs * 0.8) {
-        if (handleBlobSplit(blobs, time, blobSystem)) {
+        if (handleBlobSplit(blobs, time, blobSystem, rng)) {
             return; // Skip normal interactions this frame if split occurred
         }
     }
     
     // Process normal blob interactions and potential merging
-    processBlobInteractions(blobs, dt, time, blobSystem, shouldTryMerge);
+    processBlobInteractions(blobs, dt, time, blobSystem, shouldTryMerge, rng);
 }
 
 /**
@@ -39,9 +40,10 @@ export function applyBlobInteractions(blobs, dt, time, blobSystem) {
  * @param {Array} blobs - Array of all blobs
  * @param {number} time - Current time
  * @param {Object} blobSystem - The blob system
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-function handleBlobSizeChange(blobs, time, blobSystem) {
-    const randomIndex = Math.floor(Math.random() * blobs.length);
+function handleBlobSizeChange(blobs, time, blobSystem, rng) {
+    const randomIndex = Math.floor(rng() * blobs.length);
     const targetBlob = blobs[randomIndex];
     
     if (targetBlob.age > 2 && targetBlob.age < targetBlob.lifespan * 0.8) {
@@ -49,16 +51,16 @@ function handleBlobSizeChange(blobs, time, blobSystem) {
         const lifePhase = targetBlob.age / targetBlob.lifespan;
         
         // Randomly grow or shrink the blob
-        if (Math.random() > 0.5) {
+        if (rng() > 0.5) {
             // Grow the blob
-            const growFactor = 1.2 + Math.random() * 0.3;
+            const growFactor = 1.2 + rng() * 0.3;
             targetBlob.size = Math.min(0.4, targetBlob.size * growFactor);
             // Larger blobs move slower
             targetBlob.vx *= 0.8;
             targetBlob.vy *= 0.8;
         } else {
             // Shrink the blob
-            const shrinkFactor = 0.6 + Math.random() * 0.3;
+            const shrinkFactor = 0.6 + rng() * 0.3;
             targetBlob.size = Math.max(0.05, targetBlob.size * shrinkFactor);
             // Smaller blobs move faster
             targetBlob.vx *= 1.2;
@@ -67,13 +69,13 @@ function handleBlobSizeChange(blobs, time, blobSystem) {
         
         // Update vertices for the new size
         for (const vertex of targetBlob.vertices) {
-            vertex.targetDistance = targetBlob.size * (0.8 + random(0, 0.4));
-            vertex.changeRate = random(1.0, 2.0) * targetBlob.morphRate; // Faster change after resize
+            vertex.targetDistance = targetBlob.size * (0.8 + random(rng, 0, 0.4));
+            vertex.changeRate = random(rng, 1.0, 2.0) * targetBlob.morphRate; // Faster change after resize
         }
         
         // Update pulse parameters for more interesting effects
-        targetBlob.pulseRate = random(0.5, 2.5);
-        targetBlob.morphRate = random(0.5, 1.5);
+        targetBlob.pulseRate = random(rng, 0.5, 2.5);
+        targetBlob.morphRate = random(rng, 0.5, 1.5);
         
         blobSystem.lastSizeChangeTime = time;
     }
@@ -84,9 +86,10 @@ function handleBlobSizeChange(blobs, time, blobSystem) {
  * @param {Array} blobs - Array of all blobs
  * @param {number} time - Current time
  * @param {Object} blobSystem - The blob system
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  * @returns {boolean} True if a split occurred
  */
-function handleBlobSplit(blobs, time, blobSystem) {
+function handleBlobSplit(blobs, time, blobSystem, rng) {
     // Find a candidate for splitting (larger, older blobs)
     const candidates = blobs.filter(blob => 
         blob.size > 0.15 && 
@@ -96,12 +99,12 @@ function handleBlobSplit(blobs, time, blobSystem) {
     
     if (candidates.length > 0) {
         // Pick a random candidate
-        const parentBlob = candidates[Math.floor(Math.random() * candidates.length)];
+        const parentBlob = candidates[Math.floor(rng() * candidates.length)];
         
         // Create two smaller child blobs
         const childSize = parentBlob.size * 0.6;
         const offsetDistance = parentBlob.size * 0.3;
-        const splitAngle = Math.random() * Math.PI * 2;
+        const splitAngle = rng() * Math.PI * 2;
         
         // Create first child at slight offset
         const child1 = createSplitBlob(
@@ -109,7 +112,8 @@ function handleBlobSplit(blobs, time, blobSystem) {
             childSize,
             parentBlob.x + Math.cos(splitAngle) * offsetDistance,
             parentBlob.y + Math.sin(splitAngle) * offsetDistance,
-            time
+            time,
+            rng
         );
         
         // Create second child at opposite offset
@@ -118,11 +122,12 @@ function handleBlobSplit(blobs, time, blobSystem) {
             childSize,
             parentBlob.x - Math.cos(splitAngle) * offsetDistance,
             parentBlob.y - Math.sin(splitAngle) * offsetDistance,
-            time
+            time,
+            rng
         );
         
         // Add velocity in opposite directions - higher to disperse blobs more
-        const splitVelocity = 0.08 + Math.random() * 0.07;
+        const splitVelocity = 0.08 + rng() * 0.07;
         child1.vx += Math.cos(splitAngle) * splitVelocity;
         child1.vy += Math.sin(splitAngle) * splitVelocity;
         child2.vx -= Math.cos(splitAngle) * splitVelocity;
@@ -152,8 +157,9 @@ function handleBlobSplit(blobs, time, blobSystem) {
  * @param {number} time - Current time
  * @param {Object} blobSystem - The blob system
  * @param {boolean} shouldTryMerge - Whether merge should be attempted
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-function processBlobInteractions(blobs, dt, time, blobSystem, shouldTryMerge) {
+function processBlobInteractions(blobs, dt, time, blobSystem, shouldTryMerge, rng) {
     for (let i = 0; i < blobs.length; i++) {
         const blobA = blobs[i];
         
@@ -179,7 +185,7 @@ function processBlobInteractions(blobs, dt, time, blobSystem, shouldTryMerge) {
                 blobs.length > blobSystem.maxBlobs * 0.5) {
                 
                 // Create a merged blob
-                const mergedBlob = createMergedBlob(blobA, blobB, time);
+                const mergedBlob = createMergedBlob(blobA, blobB, time, rng);
                 
                 // Add the merged blob
                 blobs.push(mergedBlob);
@@ -202,7 +208,7 @@ function processBlobInteractions(blobs, dt, time, blobSystem, shouldTryMerge) {
             // If blobs are close enough to interact
             if (distance < interactionRadius) {
                 handleBlobForces(blobA, blobB, wrappedDx, wrappedDy, distance, interactionRadius, dt);
-                handleColorBlending(blobA, blobB, distance, interactionRadius, dt);
+                handleColorBlending(blobA, blobB, distance, interactionRadius, dt, rng);
             }
         }
     }
@@ -248,8 +254,9 @@ function handleBlobForces(blobA, blobB, wrappedDx, wrappedDy, distance, interact
  * @param {number} distance - Distance between blobs
  * @param {number} interactionRadius - Radius for interaction
  * @param {number} dt - Delta time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-function handleColorBlending(blobA, blobB, distance, interactionRadius, dt) {
+function handleColorBlending(blobA, blobB, distance, interactionRadius, dt, rng) {
     if (distance < interactionRadius * 0.5) {
         // More aggressive blend factor for faster color mixing
         const blendFactor = 0.1 * dt * (1 - distance / (interactionRadius * 0.5));
@@ -270,13 +277,13 @@ function handleColorBlending(blobA, blobB, distance, interactionRadius, dt) {
         
         // Add slight distortion to blob shapes when interacting
         for (const vertex of blobA.vertices) {
-            vertex.targetDistance = blobA.size * (0.7 + random(0, 0.5));
-            vertex.changeRate = Math.max(vertex.changeRate, random(0.8, 1.2));
+            vertex.targetDistance = blobA.size * (0.7 + random(rng, 0, 0.5));
+            vertex.changeRate = Math.max(vertex.changeRate, random(rng, 0.8, 1.2));
         }
         
         for (const vertex of blobB.vertices) {
-            vertex.targetDistance = blobB.size * (0.7 + random(0, 0.5));
-            vertex.changeRate = Math.max(vertex.changeRate, random(0.8, 1.2));
+            vertex.targetDistance = blobB.size * (0.7 + random(rng, 0, 0.5));
+            vertex.changeRate = Math.max(vertex.changeRate, random(rng, 0.8, 1.2));
         }
     }
 }
\ No newline at end of file
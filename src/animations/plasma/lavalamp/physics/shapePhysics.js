@@ -9,8 +9,9 @@ import { random, lerp } from '../../../../utils/math.js';
  * @param {Object} blob - The blob to update
  * @param {number} time - Current time
  * @param {number} dt - Delta time
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function updateBlobShape(blob, time, dt) {
+export function updateBlobShape(blob, time, dt, rng) {
     // Update pulse size with more complex pulsing behavior
     blob.pulsePhase += dt * blob.pulseRate;
     
@@ -48,17 +49,17 @@ export function updateBlobShape(blob, time, dt) {
         // If close to target or more frequent random chance to change target
         const changeChance = 0.01 * blob.morphRate * (1 + morphActivity);
         if (Math.abs(vertex.distance - vertex.targetDistance) < 0.005 || 
-            Math.random() < changeChance) {
+            rng() < changeChance) {
             
             // Set new target distance with more varied shapes
             // Base vertex distance on size but allow for more extreme deformations
             const baseDistance = blob.size * waveFactor;
             const variationRange = blob.size * 0.6; // Greater range for more interesting shapes
             
-            vertex.targetDistance = baseDistance * (0.7 + random(0, variationRange));
+            vertex.targetDistance = baseDistance * (0.7 + random(rng, 0, variationRange));
             
             // Faster morphing during middle of life
-            vertex.changeRate = random(0.5, 2.0) * blob.morphRate * (0.8 + morphActivity * 0.5);
+            vertex.changeRate = random(rng, 0.5, 2.0) * blob.morphRate * (0.8 + morphActivity * 0.5);
         }
         
         // Move toward target with variable speed
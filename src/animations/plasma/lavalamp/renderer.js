@@ -2,27 +2,29 @@
  * Advanced metaball renderer for lava lamp animation
  */
 import { smootherStep, lerp } from '../../../utils/math.js';
+import { registerAnimationCharacterSet } from '../../../utils/characterRamps.js';
 
 // Character sets for different parts of the lava lamp
 const bgChars = [' ', '.', '·', ':', '·'];
-const plasmaChars = [
-    // Dense/bright characters
-    '@', '#', '%', '&', '$', 'W', 'M', 'B', '8',
-    // Medium density
-    '*', '+', '=', '^', '~', '?', '-', ':', ';',
+registerAnimationCharacterSet('lavaPlasma', [
     // Low density
-    '.', ',', '`', ' '
-];
+    '`', ',', '.',
+    // Medium density
+    ';', ':', '-', '?', '~', '^', '=', '+', '*',
+    // Dense/bright characters
+    '8', 'B', 'M', 'W', '$', '&', '%', '#', '@'
+]);
 
 /**
  * Render the plasma effect
  * @param {Object} grid - Character grid 
  * @param {number} time - Current time
  * @param {Object} blobSystem - The blob system
- * @param {Array} characters - Available characters
+ * @param {CharacterRamps} characters - Character ramps (see utils/characterRamps.js)
  * @param {Object} colorManager - Color manager
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-export function renderPlasma(grid, time, blobSystem, characters, colorManager) {
+export function renderPlasma(grid, time, blobSystem, characters, colorManager, rng) {
     const width = grid.width;
     const height = grid.height;
     const { blobs } = blobSystem;
@@ -43,7 +45,7 @@ export function renderPlasma(grid, time, blobSystem, characters, colorManager) {
             const value = buffer[index];
             
             // Calculate display character
-            renderCell(grid, x, y, value, time, blobs, colorManager);
+            renderCell(grid, x, y, value, time, blobs, characters, colorManager, rng);
         }
     }
 }
@@ -221,19 +223,20 @@ function applySimpleBlur(buffer, width, height) {
  * @param {number} value - Cell value (0-1)
  * @param {number} time - Current time
  * @param {Array} blobs - Array of all blobs
+ * @param {CharacterRamps} characters - Character ramps
  * @param {Object} colorManager - Color manager
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
  */
-function renderCell(grid, x, y, value, time, blobs, colorManager) {
+function renderCell(grid, x, y, value, time, blobs, characters, colorManager, rng) {
     // Calculate display character index based on value
     // Enhance the boost factor for more defined blob edges
     const normValue = Math.min(1, value * 1.5); // Stronger boost for better contrast
     
     // Use power function to create more distinct transitions between dense/sparse areas
     const enhancedValue = Math.pow(normValue, 0.85); // Sharper transitions
-    const charIndex = Math.floor(enhancedValue * (plasmaChars.length - 1));
     
     // More defined transition between background and blob
-    const char = normValue > 0.03 ? plasmaChars[plasmaChars.length - 1 - charIndex] : bgChars[Math.floor(Math.random() * bgChars.length)];
+    const char = normValue > 0.03 ? characters.at('lavaPlasma', enhancedValue) : bgChars[Math.floor(rng() * bgChars.length)];
     
     // Find the most influential blob at this point
     const nx = x / grid.width;
@@ -249,24 +252,14 @@ function renderCell(grid, x, y, value, time, blobs, colorManager) {
         }
     }
     
-    // Set color based on the dominant blob or background
-    let hue, saturation, lightness;
+    // Set lightness based on the dominant blob or background; the color manager
+    // picks hue and saturation just like plasma does, so the color mode is respected completely
+    let lightness;
     
     // Calculate distance from center for color variation
     const distance = Math.sqrt((nx - 0.5) ** 2 + (ny - 0.5) ** 2) * 2; // 0-1 distance from center
     
     if (dominantBlob && maxInfluence > 0.1) {
-        // Use dominant blob's color, which is already synced with colorManager
-        // in the updateBlobColor function
-        hue = dominantBlob.hue;
-        
-        // Get the hue directly from colorManager - just like plasma does
-        // This ensures we respect the color mode completely
-        hue = colorManager.getHue(nx * grid.width, ny * grid.height, distance * Math.sqrt(grid.width*grid.width + grid.height*grid.height), normValue, time);
-        
-        // Use color manager's saturation directly - identical to plasma
-        saturation = colorManager.saturation;
-        
         // Calculate lightness like plasma does - 50 + normalizedValue * 30
         // But adapt it slightly for the blob structure
         const plasmaStyleLightness = 50 + normValue * 30;
@@ -278,12 +271,6 @@ function renderCell(grid, x, y, value, time, blobs, colorManager) {
         // Combine for final lightness
         lightness = plasmaStyleLightness + depthEffect;
     } else {
-        // Background also uses plasma-style coloring
-        hue = colorManager.getHue(nx * grid.width, ny * grid.height, distance * Math.sqrt(grid.width*grid.width + grid.height*grid.height), normValue, time);
-        
-        // Use saturation directly from colorManager for consistency with plasma
-        saturation = colorManager.saturation;
-        
         // For background, use plasma style but darker to create contrast with blobs
         lightness = Math.max(10, Math.min(40, (30 + normValue * 15))); // Darker variation of plasma style
     }
@@ -291,8 +278,6 @@ function renderCell(grid, x, y, value, time, blobs, colorManager) {
     // Set the cell
     grid.setCell(x, y, {
         character: char,
-        hue,
-        saturation,
-        lightness
+        ...colorManager.getColor(nx * grid.width, ny * grid.height, distance * Math.sqrt(grid.width*grid.width + grid.height*grid.height), normValue, time, lightness)
     });
 }
@@ -8,10 +8,11 @@
  * @param {number} time - Current time in seconds
  * @param {number} deltaTime - Time since last update in seconds
  * @param {Object} config - Configuration options
- * @param {Array} characters - Available characters
+ * @param {CharacterRamps} characters - Character ramps (see utils/characterRamps.js)
  * @param {ColorManager} colorManager - Color manager
+ * @param {Object} params - Animation parameters (swirl)
  */
-export function nebulaAnimation(grid, time, deltaTime, config, characters, colorManager) {
+export function nebulaAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const width = grid.width;
     const height = grid.height;
     const centerX = width / 2;
@@ -34,7 +35,7 @@ export function nebulaAnimation(grid, time, deltaTime, config, characters, color
         const layer1 = Math.sin(dx / 10 + slowTime) * Math.cos(dy / 10 + slowTime) * 0.5;
         const layer2 = Math.sin(distance / 8 + mediumTime) * 0.3;
         const layer3 = Math.sin((dx + dy) / 12 + fastTime) * Math.cos((dx - dy) / 12 + fastTime) * 0.4;
-        const layer4 = Math.sin(angle * 3 + slowTime) * 0.15;
+        const layer4 = Math.sin(angle * params.swirl + slowTime) * 0.15;
         
         // Add some turbulence
         const turbulence = Math.sin(distance / 4 + time * config.speed) * Math.sin(angle * 2 + time * config.speed) * 0.15;
@@ -48,32 +49,24 @@ export function nebulaAnimation(grid, time, deltaTime, config, characters, color
         let charSet;
         if (normalizedValue < 0.3) {
             // Sparse dust/empty space (dots, sparse symbols)
-            charSet = characters.slice(0, 10); 
+            charSet = 'dots';
         } else if (normalizedValue < 0.65) {
             // Nebula gas (medium density characters)
-            charSet = characters.slice(29, 50);
+            charSet = ['blocks', 'circles'];
         } else {
             // Dense stellar regions (stars, bright symbols)
-            charSet = characters.slice(40, 61);
+            charSet = 'stars';
         }
         
-        // Apply density factor
-        const index = Math.floor(normalizedValue * charSet.length * config.density);
-        const safeIndex = Math.min(Math.max(0, index), charSet.length - 1);
-        
         // Get color with a cosmic feel
         // Use position and value for interesting color distribution
-        const hue = colorManager.getHue(x, y, distance, normalizedValue, time);
-        
         // Vibrant colors with appropriate brightness
-        const saturation = colorManager.saturation;
         const lightness = 40 + normalizedValue * 40;
         
         grid.setCell(x, y, {
-            character: charSet[safeIndex],
-            hue,
-            saturation: colorManager.saturation,
-            lightness
+            // Apply density factor
+            character: characters.at(charSet, normalizedValue * config.density),
+            ...colorManager.getColor(x, y, distance, normalizedValue, time, lightness)
         });
     });
 }
\ No newline at end of file
@@ -8,10 +8,11 @@
  * @param {number} time - Current time in seconds
  * @param {number} deltaTime - Time since last update in seconds
  * @param {Object} config - Configuration options
- * @param {Array} characters - Available characters
+ * @param {CharacterRamps} characters - Character ramps (see utils/characterRamps.js)
  * @param {ColorManager} colorManager - Color manager
+ * @param {Object} params - Animation parameters (cloudThreshold)
  */
-export function noiseCloudAnimation(grid, time, deltaTime, config, characters, colorManager) {
+export function noiseCloudAnimation(grid, time, deltaTime, config, characters, colorManager, params) {
     const width = grid.width;
     const height = grid.height;
     
@@ -62,7 +63,7 @@ export function noiseCloudAnimation(grid, time, deltaTime, config, characters, c
         const normalizedDensity = (cloudDensity + 1) / 2; // Map from [-1,1] to [0,1]
         
         // Create cloud boundaries with threshold
-        const cloudThreshold = 0.4;
+        const { cloudThreshold } = params;
         const cloudValue = Math.max(0, (normalizedDensity - cloudThreshold) / (1 - cloudThreshold));
         
         // Select character based on cloud density
@@ -73,19 +74,13 @@ export function noiseCloudAnimation(grid, time, deltaTime, config, characters, c
         // Base on height (higher clouds catch different light)
         const heightRatio = 1 - (y / height);
         
-        // Get time-varying hue from the color manager
-        const baseHue = colorManager.getHue(x, y, 0, normalizedDensity, time);
-        
-        // Cloud coloring - vibrant colorful clouds
-        const hue = baseHue;
+        // Cloud coloring - vibrant colorful clouds, time-varying hue from the color manager
         const saturation = 80 + cloudValue * 20; // Higher saturation for colorful clouds
         const lightness = 50 + cloudValue * 40; // Full range of brightness
         
         grid.setCell(x, y, {
             character: cloudChars[safeIndex],
-            hue,
-            saturation,
-            lightness
+            ...colorManager.getColor(x, y, 0, normalizedDensity, time, lightness, saturation)
         });
     });
 }
\ No newline at end of file
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+/**
+ * Terminal entry point for AsciiDelic - runs the engine headless and renders with ANSI colors
+ *
+ * Usage: node src/cli.js [--animation <id> | --preset <id>] [--palette <id>] [--colors truecolor|256|16]
+ *        [--quantize <palette>] [--dither ordered|diffusion] [--manual]
+ *        [--reduce-motion] [--limit-flashes] [--colorblind-safe] [--ascii] [--charset <id> | --chars <glyphs>]
+ *        node src/cli.js --record out.gif [--frames 90] [--fps 30] [--canvas <module>]
+ */
+import { writeFileSync } from 'fs';
+import { AsciiEngine } from './core/engine.js';
+import { AnsiRenderer, detectColorDepth } from './core/ansiRenderer.js';
+import { animations, animationCategories } from './animations/index.js';
+import { defaultConfig, DEFAULT_ANIMATION, colorModes } from './config/defaults.js';
+import { builtInPresets } from './config/presets.js';
+import { palettes } from './utils/palettes.js';
+import { quantizePalettes } from './core/quantize.js';
+import { characterSets, parseCharacterList, CUSTOM_CHARACTER_SET } from './utils/characterRamps.js';
+import { InputManager } from './ui/inputManager.js';
+import { FrameRecorder, saveRecording } from './core/recording/recorder.js';
+
+/**
+ * Escape sequences sent by the terminal, mapped to the key names InputManager binds
+ */
+const keySequences = {
+    '\x1b[A': 'ArrowUp',
+    '\x1b[B': 'ArrowDown',
+    '\x1b[C': 'ArrowRight',
+    '\x1b[D': 'ArrowLeft',
+    '\x1b[5~': 'PageUp',
+    '\x1b[6~': 'PageDown'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        animation: DEFAULT_ANIMATION,
+        colors: null,
+        manual: false,
+        seed: null,
+        preset: null,
+        palette: null,
+        quantize: null,
+        dither: null,
+        accessibility: {}, // Accessibility config settings
+        characters: {}, // Character set config settings
+        record: null,
+        frames: 90,
+        fps: 30,
+        canvas: null, // Module providing createCanvas for recordings, e.g. 'canvas'
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--animation':
+            case '-a':
+                options.animation = argv[++i];
+                break;
+            case '--colors':
+            case '-c':
+                options.colors = argv[++i];
+                break;
+            case '--manual':
+                options.manual = true;
+                break;
+            case '--seed':
+                options.seed = parseInt(argv[++i], 10);
+                break;
+            case '--preset':
+            case '-p':
+                options.preset = argv[++i];
+                break;
+            case '--palette':
+                options.palette = argv[++i];
+                break;
+            case '--quantize':
+                options.quantize = argv[++i];
+                break;
+            case '--dither':
+                options.dither = argv[++i];
+                break;
+            case '--reduce-motion':
+                options.accessibility.reducedMotion = true;
+                break;
+            case '--limit-flashes':
+                options.accessibility.photosensitivityGuard = true;
+                break;
+            case '--colorblind-safe':
+                options.accessibility.colorblindSafe = true;
+                break;
+            case '--ascii':
+                options.characters.asciiOnly = true;
+                break;
+            case '--charset':
+                options.characters.characterSet = argv[++i];
+                break;
+            case '--chars': {
+                const characters = parseCharacterList(argv[++i] || '');
+                if (characters.length === 0) {
+                    console.warn('--chars needs at least one character');
+                    break;
+                }
+                options.characters.characterSet = CUSTOM_CHARACTER_SET;
+                options.characters.customCharacters = characters;
+                break;
+            }
+            case '--record':
+                options.record = argv[++i];
+                break;
+            case '--frames':
+                options.frames = parseInt(argv[++i], 10);
+                break;
+            case '--fps':
+                options.fps = parseFloat(argv[++i]);
+                break;
+            case '--canvas':
+                options.canvas = argv[++i];
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                console.warn(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Print usage information
+ */
+function printHelp() {
+    const ids = animationCategories
+        .map(category => `${category.name}: ` + animations
+            .filter(anim => anim.category === category.id)
+            .map(anim => anim.id)
+            .join(', '))
+        .join('; ');
+    console.log([
+        'Usage: node src/cli.js [options]',
+        '',
+        '  -a, --animation <id>   Animation to start with (' + ids + ')',
+        '  -c, --colors <depth>   Color depth: truecolor, 256 or 16 (default: detected)',
+        '      --manual           Start in manual mode',
+        '      --seed <n>         Random seed for a reproducible run',
+        '  -p, --preset <id>      Start with a preset (' + builtInPresets.map(preset => preset.id).join(', ') + ')',
+        '      --palette <id>     Color with a palette (' + palettes.map(palette => palette.id).join(', ') + ')',
+        '      --quantize <id>    Snap colors to a fixed palette (' + Object.keys(quantizePalettes).join(', ') + ')',
+        '      --dither <mode>    Dither when quantizing: ordered or diffusion (quantizes to the color depth if --quantize is not given)',
+        '      --reduce-motion    Cap the speed and slow down color cycling',
+        '      --limit-flashes    Limit how fast brightness and color may change',
+        '      --colorblind-safe  Only use colorblind-safe palettes',
+        '      --ascii            Only draw printable ASCII characters',
+        '      --charset <id>     Draw every animation with one character set (' + Object.keys(characterSets).join(', ') + ')',
+        '      --chars <glyphs>   Draw every animation with these characters, lightest first',
+        '      --record <file>    Record to an animated .gif or .png (APNG) instead of playing',
+        '      --frames <n>       Frames to record (default: 90)',
+        '      --fps <n>          Recording frame rate (default: 30)',
+        '      --canvas <module>  Draw glyphs in recordings with a canvas package (e.g. canvas or @napi-rs/canvas);',
+        '                         without one, cells are recorded as colored blocks',
+        '  -h, --help             Show this help',
+        '',
+        'Keys: ↑/↓ animation, ,/. pack, J/K playlist, O preset, ←/→ hue, Space color mode, +/- speed, S/D density, R randomize, M mode, P pause, N step, [/] time scale, {/} scrub, T fixed step, E export frame, Q quit'
+    ].join('\n'));
+}
+
+// Config values shown on the status line in manual mode
+const statusKeys = ['speed', 'density', 'targetHue', 'colorMode', 'palette'];
+
+/**
+ * Terminal stand-in for UIManager that shows state on the renderer's status line
+ */
+class TerminalUI {
+    /**
+     * Create the terminal UI
+     * @param {AnsiRenderer} renderer - Renderer that owns the status line
+     * @param {Object} output - Output stream, used for its column count
+     */
+    constructor(renderer, output) {
+        this.renderer = renderer;
+        this.output = output;
+        this.animationName = '';
+        this.config = null;
+        this.playback = null;
+    }
+
+    /**
+     * Follow the engine's events to keep the status line up to date
+     * @param {AsciiEngine} engine - Engine to follow
+     * @param {Array} animations - Available animations
+     */
+    connect(engine, animations) {
+        engine.on('animationchange', ({ index }) => this.updateAnimationDisplay(index, animations, engine.config));
+        engine.on('modechange', () => this.updateParameterChange(engine.config));
+        engine.on('configchange', ({ keys, config }) => {
+            if (!config.isAutomatedMode && keys.some(key => statusKeys.includes(key))) {
+                this.updateParameterChange(config);
+            }
+        });
+        engine.on('playbackchange', playback => this.updatePlaybackDisplay(playback));
+    }
+
+    /**
+     * Update the status line to reflect the current mode
+     * @param {boolean} isAutomated - Whether we're in automated mode
+     */
+    updateModeDisplay(isAutomated) {
+        if (this.config) {
+            this.config = { ...this.config, isAutomatedMode: isAutomated };
+        }
+        this.refresh();
+    }
+
+    /**
+     * Update animation info display
+     * @param {number} index - Animation index
+     * @param {Array} animations - Available animations
+     * @param {Object} config - Current configuration
+     */
+    updateAnimationDisplay(index, animations, config) {
+        if (animations[index]) {
+            const category = animationCategories.find(cat => cat.id === animations[index].category);
+            this.animationName = category
+                ? `${category.name} / ${animations[index].name}`
+                : animations[index].name;
+        }
+        this.config = config;
+        this.refresh();
+    }
+
+    /**
+     * Update the status line with the playback state
+     * @param {Object} playback - Playback state from the engine
+     */
+    updatePlaybackDisplay(playback) {
+        this.playback = playback;
+        this.refresh();
+    }
+
+    /**
+     * Update the status line when a parameter changes
+     * @param {Object} config - Current configuration
+     */
+    updateParameterChange(config) {
+        this.config = config;
+        this.refresh();
+    }
+
+    /**
+     * Rebuild the status line text
+     */
+    refresh() {
+        const parts = [this.animationName];
+
+        if (this.config) {
+            parts.push(this.config.isAutomatedMode ? 'Automated' : 'Manual');
+            if (!this.config.isAutomatedMode) {
+                const colorMode = colorModes[this.config.colorMode];
+                const palette = palettes.find(entry => entry.id === this.config.palette);
+                parts.push(`speed ${this.config.speed.toFixed(1)}`);
+                parts.push(`density ${this.config.density.toFixed(1)}`);
+                parts.push(`hue ${Math.round(this.config.targetHue)}°`);
+                parts.push(palette ? `${palette.name} palette` : colorMode ? colorMode.name : 'Unknown');
+            }
+        }
+        if (this.playback && this.playback.isPaused) {
+            parts.push(`paused ${this.playback.time.toFixed(2)}s`);
+        }
+        if (this.playback && this.playback.timeScale !== 1) {
+            parts.push(`${this.playback.timeScale.toFixed(2)}x`);
+        }
+        if (this.playback && this.playback.fixedTimestep) {
+            parts.push('fixed step');
+        }
+        parts.push('Q quit');
+
+        const text = parts.filter(Boolean).join(' | ');
+        const columns = this.output.columns || 80;
+        this.renderer.setStatusLine(text.slice(0, columns - 1));
+    }
+}
+
+// Quantization palette matching each terminal color depth, used when only --dither is given
+const depthPalettes = { 256: 'xterm256', 16: 'ansi16' };
+
+/**
+ * Get the quantization settings chosen on the command line
+ * @param {Object} options - Parsed command line options
+ * @param {string} colorDepth - Color depth of the output
+ * @returns {Object} Configuration overrides
+ */
+function getQuantizeConfig(options, colorDepth) {
+    const config = {};
+    const quantize = options.quantize || (options.dither && depthPalettes[colorDepth]);
+    if (quantize) config.quantize = quantize;
+    if (options.dither) config.dither = options.dither;
+    return config;
+}
+
+/**
+ * Register all animations with an engine
+ * @param {AsciiEngine} engine - Engine to register with
+ */
+function registerAnimations(engine) {
+    animations.forEach(animation => {
+        engine.registerAnimation(
+            animation.id,
+            animation.fn,
+            { name: animation.name, description: animation.description, params: animation.params }
+        );
+    });
+}
+
+/**
+ * Find the index of an animation, falling back to the first one
+ * @param {string} id - Animation identifier
+ * @returns {number} Animation index
+ */
+function findAnimationIndex(id) {
+    const index = animations.findIndex(anim => anim.id === id);
+    if (index === -1) {
+        console.warn(`Animation '${id}' not found, using first available.`);
+        return 0;
+    }
+    return index;
+}
+
+/**
+ * Start the preset or animation chosen on the command line
+ * @param {AsciiEngine} engine - Engine with the animations registered
+ * @param {Object} options - Parsed command line options
+ */
+function startAnimation(engine, options) {
+    if (!(options.preset && engine.applyPreset(options.preset))) {
+        engine.setAnimation(animations[findAnimationIndex(options.animation)].id);
+    }
+    if (options.palette) {
+        engine.updateConfig({ palette: options.palette, targetPalette: options.palette });
+    }
+}
+
+/**
+ * Record an animation to a file without touching the terminal
+ * @param {Object} options - Parsed command line options
+ */
+async function record(options) {
+    const engine = new AsciiEngine(null, {
+        isAutomatedMode: !options.manual,
+        seed: options.seed,
+        ...getQuantizeConfig(options, null),
+        ...options.accessibility,
+        ...options.characters
+    }, { renderer: { render() {} } });
+    registerAnimations(engine);
+    startAnimation(engine, options);
+
+    // Without a canvas the rasterizer can only fill each cell with its color
+    let createCanvas;
+    if (options.canvas) {
+        ({ createCanvas } = await import(options.canvas));
+    } else {
+        console.warn('No --canvas module given; recording cells as colored blocks');
+    }
+
+    const recorder = new FrameRecorder(engine, {
+        format: /\.a?png$/i.test(options.record) ? 'apng' : 'gif',
+        fps: options.fps,
+        frameCount: options.frames,
+        raster: { createCanvas }
+    });
+
+    const bytes = await recorder.record();
+    await saveRecording(bytes, options.record);
+    console.log(`Saved ${options.frames} frames to ${options.record} (${Math.round(bytes.length / 1024)} KB)`);
+}
+
+/**
+ * Run AsciiDelic in the terminal
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printHelp();
+        return;
+    }
+    if (options.record) {
+        record(options).catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+        return;
+    }
+
+    const output = process.stdout;
+    const input = process.stdin;
+    const renderer = new AnsiRenderer(output, {
+        colorDepth: options.colors || detectColorDepth(process.env)
+    });
+
+    // Leave one row for the status line
+    const getSize = () => ({
+        width: output.columns || defaultConfig.width,
+        height: Math.max(1, (output.rows || defaultConfig.height + 1) - 1)
+    });
+
+    const engine = new AsciiEngine(null, {
+        ...getSize(),
+        isAutomatedMode: !options.manual,
+        seed: options.seed,
+        ...getQuantizeConfig(options, renderer.colorDepth),
+        ...options.accessibility,
+        ...options.characters
+    }, { renderer });
+
+    // Reuse the browser key bindings, fed from raw stdin instead of DOM events
+    const ui = new TerminalUI(renderer, output);
+    ui.connect(engine, animations);
+    const inputManager = new InputManager(engine, ui, animations);
+
+    registerAnimations(engine);
+    startAnimation(engine, options);
+
+    // There is no download in a terminal, so export writes an ANSI file to the working directory
+    const exportFrame = () => {
+        const fileName = `asciidelic-${engine.currentAnimation.id}-${Date.now()}.ans`;
+        writeFileSync(fileName, engine.exportFrame('ansi', { colorDepth: renderer.colorDepth }));
+        renderer.setStatusLine(`Saved ${fileName}`);
+    };
+    inputManager.bindKey('e', exportFrame);
+    inputManager.bindKey('E', exportFrame);
+
+    const quit = () => {
+        engine.stop();
+        renderer.exit();
+        if (input.isTTY) input.setRawMode(false);
+        input.pause();
+        process.exit(0);
+    };
+
+    if (input.isTTY) input.setRawMode(true);
+    input.setEncoding('utf8');
+    input.on('data', (data) => {
+        if (data === '\x03' || data === 'q' || data === 'Q') {
+            quit();
+            return;
+        }
+        inputManager.simulateKeyPress(keySequences[data] || data);
+    });
+
+    output.on('resize', () => {
+        engine.updateConfig(getSize());
+        ui.refresh();
+        output.write('\x1b[2J');
+    });
+
+    process.on('SIGTERM', quit);
+
+    renderer.enter();
+    engine.start();
+}
+
+main();
@@ -1,88 +1,79 @@
 /**
  * Default configuration settings for AsciiDelic
+ * Types and ranges for each key are declared in schema.js.
  */
+import { characterSets } from '../utils/characterRamps.js';
+
 export const defaultConfig = {
     // Display settings
     width: 80,
     height: 40,
-    animationSpeed: 60, // Frame rate in FPS
+    animationSpeed: 60, // Frame rate in FPS (render rate cap)
+    lowPowerMode: false, // Always run at lowPowerFps (e.g. battery-powered kiosks)
+    lowPowerWhenHidden: true, // Drop to lowPowerFps while the page is hidden
+    lowPowerFps: 2, // Frame rate in low-power mode
+    seed: null, // Random seed for reproducible runs (null picks a new seed at startup)
     
     // Mode settings
     isAutomatedMode: true, // false: manual, true: automated parameter changes
     
     // Animation control
+    animationType: 0, // index of the current animation among the registered ones (kept by the engine)
     speed: 1.0, // animation speed multiplier
+    timeScale: 1.0, // simulation time multiplier (slow motion < 1 < fast forward)
+    fixedTimestep: 0, // simulation step in seconds, 0 steps by the real frame delta (set it to decouple simulation rate from frame rate)
+    maxSubSteps: 5, // maximum fixed steps simulated per rendered frame
+    crossfadeDuration: 1.5, // seconds to blend between animations when switching (0 cuts instantly)
+    crossfadeStyle: 'dissolve', // 'dissolve', 'wipe', 'iris', 'morph' or 'random'
     
     // Character appearance
     density: 0.6, // character density
+    characterSet: null, // character set id every animation draws from (null lets each pick its own)
+    customCharacters: ['.', ':', '-', '=', '+', '*', '#', '%', '@'], // glyphs of the 'custom' character set
+    asciiOnly: false, // map every glyph to printable 7-bit ASCII
     
     // Color settings
-    colorMode: 0, // 0: rainbow, 1: monochrome, 2: complementary, 3: gradient
+    colorMode: 0, // index into colorModes (see utils/colorManager.js)
     baseHue: 180, // initial hue
     targetHue: 180, // for smooth transitions
     hueTransitionSpeed: 0.05,
     saturation: 100,
-    lightness: 50,
+    lightness: 50, // display lightness, 50 leaves the animations unchanged
+    palette: null, // palette id (see utils/palettes.js), null colors by colorMode
+    customPalette: ['#1b2a4a', '#1f8a8a', '#ff6f59'], // color stops of the 'custom' palette
+    paletteMix: 0, // crossfade progress from palette to targetPalette (0-1)
+    paletteProgress: 0, // progress of automation's palette crossfade (0-1), eased into paletteMix
+    quantize: null, // snap colors to 'ansi16', 'xterm256', 'c64' or 'cga' (null keeps full color)
+    dither: 'none', // 'none', 'ordered' or 'diffusion' when quantizing
+    
+    // Accessibility settings (see core/accessibility.js)
+    reducedMotion: false, // cap speed and slow color cycling; follows prefers-reduced-motion in browsers
+    photosensitivityGuard: false, // limit how fast cell and frame brightness and hue may change
+    colorblindSafe: false, // only use colorblind-safe palettes
     
     // Automated mode settings
     automationSpeed: 0.5, // How quickly parameters change in automated mode
     nextTransitionTime: 0, // When to change to the next parameter set
     transitionDuration: 15, // Seconds between parameter changes
     transitionProgress: 0, // Current progress of the transition (0-1)
+    playlist: null, // Animation ids or { id, dwell, weight, params } entries to cycle through (null plays every animation)
+    playlistMode: 'ordered', // 'ordered', 'shuffle' or 'weighted'
+    playlistDwell: 45, // Seconds each playlist entry plays unless it sets its own dwell
     
     // Target values for smooth transitions
     targetSpeed: 1.0,
     targetDensity: 0.6,
     targetColorMode: 0,
+    targetPalette: null,
     
     // Transition settings
     transitionStep: 0.01, // How much to increment transition progress each frame
 };
 
 /**
- * Character sets used in animations
- */
-export const characterSets = {
-    // Light dots and points
-    dots: ['·', '∙', '•', '․', '⁘', '⁙', '⁚', '⋮', '⋯', '⋰', '⋱'],
-    
-    // Block elements with increasing density
-    blocks: ['░', '▒', '▓', '█', '▄', '▀', '▌', '▐', '▖', '▗', '▘', '▙', '▚', '▛', '▜', '▝', '▞', '▟'],
-    
-    // Box drawing elements
-    boxDrawing: ['╭', '╮', '╯', '╰', '│', '─', '┌', '┐', '└', '┘', '├', '┤', '┬', '┴', '┼', '╱', '╲', '╳'],
-    
-    // Stars, asterisks, sparks
-    stars: ['✦', '✧', '✩', '✪', '✫', '✬', '✭', '✮', '✯', '✱', '✲', '✳', '✴', '✵', '✶', '✷', '✸', '✹', '✺', '✻', '✼'],
-    
-    // Rounded elements and circles
-    circles: ['◌', '○', '◎', '●', '◐', '◑', '◒', '◓', '◔', '◕', '◖', '◗', '◍', '◉', '⊙', '⊚', '⊛', '❀', '❁'],
-    
-    // Diamonds and geometric
-    geometric: ['◇', '◈', '◆', '⟡', '⟢', '⟣', '⟤', '⟥', '⬖', '⬗', '⬘', '⬙', '⬠', '⬡'],
-    
-    // Ornate shapes and florals
-    ornate: ['✿', '❀', '❁', '❂', '❃', '❇', '❈', '❉', '❊', '❋', '✽', '✾', '✿', '❆', '❅', '❄'],
-    
-    // Miscellaneous special symbols
-    special: ['♦', '♠', '♣', '♥', '⁂', '※', '⌘', '⌥', '⌦', '⌫', '⏏', '⎔', '⎕', '⍯', '⟰', '⟱', '⟲', '⟳'],
-    
-    // Arrows and motion indicators
-    arrows: ['↖', '↗', '↘', '↙', '↭', '↝', '↞', '↠', '↢', '↣', '↭', '↯', '↺', '↻', '⇄', '⇅', '⇆', '⇇', '⇈'],
-    
-    // Mathematical and currency
-    math: ['∞', '∆', '∇', '∂', '∀', '∃', '∄', '∑', '∏', '∐'],
-    
-    // Wave/ripple like
-    waves: ['∿', '≈', '≋', '≣', '≡', '≢'],
-};
-
-/**
- * Returns a flattened array of all available characters
+ * Character sets used in animations, registered in the character ramps (see utils/characterRamps.js)
  */
-export function getAllCharacters() {
-    return Object.values(characterSets).flat();
-}
+export { characterSets };
 
 /**
  * Default animation - the ID of the animation to show on startup
@@ -97,27 +88,6 @@ export const initialConfig = {
 };
 
 /**
- * Color modes
+ * Color modes, registered in the color manager
  */
-export const colorModes = [
-    {
-        id: 'vibrantRainbow',
-        name: 'Vibrant Rainbow',
-        description: 'Full spectrum with dynamic variations'
-    },
-    {
-        id: 'multiGradient',
-        name: 'Multi-Color',
-        description: 'Wide gradient with time effects'
-    },
-    {
-        id: 'triadic',
-        name: 'Triadic',
-        description: 'Three evenly spaced colors'
-    },
-    {
-        id: 'colorWave',
-        name: 'Color Wave',
-        description: 'Undulating wave of vibrant colors'
-    }
-];
\ No newline at end of file
+export { colorModes } from '../utils/colorManager.js';
@@ -0,0 +1,258 @@
+/**
+ * Persistence - Save and restore the current look through the URL hash and localStorage
+ *
+ * State is serialized as URL search parameters, e.g.
+ *   #animation=wormhole&seed=123&speed=1.5&hue=200&p.ringCount=8
+ * Animation parameters are prefixed with `p.`; the engine clamps them when they are applied.
+ */
+import { configSchema, normalizeConfigValue } from './schema.js';
+import { CUSTOM_PALETTE, parseColorList } from '../utils/palettes.js';
+import { CUSTOM_CHARACTER_SET, parseCharacterList } from '../utils/characterRamps.js';
+
+// localStorage key for the saved state
+const STORAGE_KEY = 'asciidelic-state';
+
+// Prefix for per-animation parameters
+const PARAM_PREFIX = 'p.';
+
+/**
+ * User-facing config values that are saved, validated against configSchema on the way back in
+ * `keys` lists the config keys a value is restored into when it is not just its own name;
+ * the first one is the key it is saved from. `parse` turns URL text into the value, `format`
+ * turns the value into the text saved, and `savedWhen` limits saving to configs where the value is in use.
+ */
+const persistedFields = {
+    isAutomatedMode: {},
+    seed: {},
+    speed: { keys: ['speed', 'targetSpeed'] },
+    density: { keys: ['density', 'targetDensity'] },
+    colorMode: { keys: ['colorMode', 'targetColorMode'] },
+    hue: { keys: ['targetHue', 'baseHue'] },
+    saturation: {},
+    lightness: {},
+    palette: { keys: ['palette', 'targetPalette'] },
+    customPalette: { parse: parseColorList, savedWhen: config => config.palette === CUSTOM_PALETTE },
+    quantize: {},
+    dither: {},
+    characterSet: {},
+    customCharacters: {
+        parse: parseCharacterList,
+        format: characters => characters.join(''),
+        savedWhen: config => config.characterSet === CUSTOM_CHARACTER_SET
+    },
+    asciiOnly: {},
+    // Accessibility settings are only saved when on, so a shared link never turns them off
+    reducedMotion: { savedWhen: config => config.reducedMotion },
+    photosensitivityGuard: { savedWhen: config => config.photosensitivityGuard },
+    colorblindSafe: { savedWhen: config => config.colorblindSafe },
+    timeScale: {},
+    automationSpeed: {},
+    transitionDuration: {},
+    crossfadeDuration: {},
+    crossfadeStyle: {},
+    playlistMode: {},
+    playlistDwell: {}
+};
+
+/**
+ * Validate a saved value against the schema of the config key it restores
+ * @param {Object} spec - Config schema spec
+ * @param {*} value - Saved value (text from a URL, or a value from JSON)
+ * @returns {*} Valid value, or undefined if it cannot be used
+ */
+function validateField(spec, value) {
+    // URL values arrive as text
+    if (typeof value === 'string' && spec.type === 'boolean') {
+        value = { 1: true, true: true, 0: false, false: false }[value];
+    } else if (typeof value === 'string' && (spec.type === 'number' || spec.type === 'integer')) {
+        value = value.trim() === '' ? NaN : Number(value);
+    }
+    return normalizeConfigValue(spec, value);
+}
+
+/**
+ * Pick the saved settings out of an engine config
+ * @param {Object} config - Engine configuration
+ * @returns {Object} Settings by saved name
+ */
+export function captureSettings(config) {
+    const settings = {};
+    Object.entries(persistedFields).forEach(([name, field]) => {
+        const [key] = field.keys || [name];
+        const value = config[key];
+        if (value === null || value === undefined) return;
+        if (field.savedWhen && !field.savedWhen(config)) return;
+        if (field.format) {
+            settings[name] = field.format(value);
+        } else {
+            settings[name] = typeof value === 'number' && configSchema[key].type === 'number'
+                ? parseFloat(value.toFixed(3))
+                : value;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Turn saved settings back into config overrides, dropping unknown names and clamping values to their ranges
+ * @param {Object} settings - Settings by saved name
+ * @returns {Object} Configuration overrides
+ */
+export function restoreSettings(settings) {
+    const config = {};
+    Object.entries(settings).forEach(([name, value]) => {
+        const field = persistedFields[name];
+        if (!field) {
+            console.warn(`Ignoring unknown saved setting: ${name}`);
+            return;
+        }
+        const keys = field.keys || [name];
+        const parsed = field.parse && typeof value === 'string' ? field.parse(value) : value;
+        const valid = validateField(configSchema[keys[0]], parsed);
+        if (valid === undefined || valid === null) {
+            console.warn(`Ignoring invalid value for ${name}: ${value}`);
+            return;
+        }
+        keys.forEach(key => {
+            config[key] = valid;
+        });
+    });
+    return config;
+}
+
+/**
+ * Capture the state worth saving from an engine
+ * @param {AsciiEngine} engine - Engine to read
+ * @returns {Object} State with animation id, config and animation params
+ */
+export function captureState(engine) {
+    return {
+        animation: engine.currentAnimation ? engine.currentAnimation.id : null,
+        config: engine.config,
+        params: engine.getAnimationParams()
+    };
+}
+
+/**
+ * Serialize state to a URL parameter string
+ * @param {Object} state - State from captureState
+ * @returns {string} Serialized state
+ */
+export function serializeState(state) {
+    const search = new URLSearchParams();
+    if (state.animation) {
+        search.set('animation', state.animation);
+    }
+
+    Object.entries(captureSettings(state.config)).forEach(([name, value]) => {
+        search.set(name, typeof value === 'boolean' ? Number(value) : value);
+    });
+
+    Object.entries(state.params || {}).forEach(([name, value]) => {
+        search.set(PARAM_PREFIX + name, value);
+    });
+
+    return search.toString();
+}
+
+/**
+ * Parse a serialized state, dropping unknown keys and clamping values to their ranges
+ * @param {string} text - Serialized state (a leading '#' or '?' is ignored)
+ * @returns {Object|null} State with animation id, config overrides and animation params, or null if empty
+ */
+export function parseState(text) {
+    const search = new URLSearchParams(text.replace(/^[#?]/, ''));
+    const state = { animation: null, config: {}, params: {} };
+    const settings = {};
+
+    search.forEach((value, name) => {
+        if (name === 'animation') {
+            state.animation = value;
+        } else if (name.startsWith(PARAM_PREFIX)) {
+            // Checked against the animation's schema when applied
+            const number = Number(value);
+            if (Number.isFinite(number)) {
+                state.params[name.slice(PARAM_PREFIX.length)] = number;
+            }
+        } else {
+            settings[name] = value;
+        }
+    });
+    state.config = restoreSettings(settings);
+
+    const found = state.animation !== null ||
+        Object.keys(state.config).length > 0 ||
+        Object.keys(state.params).length > 0;
+    return found ? state : null;
+}
+
+/**
+ * Read state from the page's URL hash
+ * @returns {Object|null} Parsed state, or null if the hash holds none
+ */
+export function readUrlState() {
+    if (typeof location === 'undefined' || !location.hash) return null;
+    return parseState(location.hash);
+}
+
+/**
+ * Write state into the page's URL hash without adding a history entry
+ * @param {Object} state - State from captureState
+ */
+export function writeUrlState(state) {
+    if (typeof location === 'undefined' || typeof history === 'undefined') return;
+    const hash = '#' + serializeState(state);
+    if (location.hash !== hash) {
+        history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Read state saved in localStorage
+ * @returns {Object|null} Parsed state, or null if nothing usable was saved
+ */
+export function loadStoredState() {
+    try {
+        const text = localStorage.getItem(STORAGE_KEY);
+        return text ? parseState(text) : null;
+    } catch (error) {
+        // Storage can be unavailable (private browsing, sandboxed iframes, Node)
+        return null;
+    }
+}
+
+/**
+ * Save state to localStorage
+ * @param {Object} state - State from captureState
+ */
+export function saveStoredState(state) {
+    try {
+        localStorage.setItem(STORAGE_KEY, serializeState(state));
+    } catch (error) {
+        // Nothing to do without storage
+    }
+}
+
+/**
+ * Build a link to the current page that restores a state
+ * @param {Object} state - State from captureState
+ * @returns {string} Share link
+ */
+export function createShareLink(state) {
+    const base = typeof location === 'undefined' ? '' : location.href.split('#')[0];
+    return `${base}#${serializeState(state)}`;
+}
+
+/**
+ * Copy a share link for a state to the clipboard
+ * @param {Object} state - State from captureState
+ * @returns {Promise<string>} The link, once copied
+ */
+export async function copyShareLink(state) {
+    const link = createShareLink(state);
+    if (typeof navigator === 'undefined' || !navigator.clipboard) {
+        throw new Error('Clipboard not available');
+    }
+    await navigator.clipboard.writeText(link);
+    return link;
+}
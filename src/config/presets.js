@@ -0,0 +1,301 @@
+/**
+ * Presets - Named looks: built-in ones plus a user library kept in localStorage
+ *
+ * A preset captures an animation with its parameters, the saved settings (see persistence.js)
+ * and optionally a seed:
+ *   { id, name, animation, seed, settings: { speed, colorMode, hue, palette, ... }, params: { ... } }
+ */
+import { captureSettings, restoreSettings } from './persistence.js';
+
+// localStorage key for the user's presets
+const STORAGE_KEY = 'asciidelic-presets';
+
+// Version written into exported preset files
+const EXPORT_VERSION = 1;
+
+// Settings that belong to the session or the output device rather than to a look
+const SESSION_SETTINGS = [
+    'isAutomatedMode', 'seed', 'quantize', 'dither', 'asciiOnly',
+    'reducedMotion', 'photosensitivityGuard', 'colorblindSafe'
+];
+
+/**
+ * Presets that ship with AsciiDelic
+ */
+export const builtInPresets = [
+    {
+        id: 'chill-lava-blue',
+        name: 'Chill Lava Blue',
+        animation: 'lavalamp',
+        seed: 1207,
+        settings: { speed: 0.6, density: 0.5, colorMode: 1, hue: 210, saturation: 80 },
+        params: { maxBlobs: 8 }
+    },
+    {
+        id: 'strobe-nebula',
+        name: 'Strobe Nebula',
+        animation: 'nebula',
+        seed: 4242,
+        settings: { speed: 2.6, density: 0.9, colorMode: 0, hue: 300, saturation: 100 },
+        params: { swirl: 6 }
+    },
+    {
+        id: 'ember-tunnel',
+        name: 'Ember Tunnel',
+        animation: 'vortexTunnel',
+        seed: 77,
+        settings: { speed: 1.4, density: 0.7, colorMode: 3, hue: 20, saturation: 100 },
+        params: { ringCount: 14 }
+    },
+    {
+        id: 'deep-sea-flow',
+        name: 'Deep Sea Flow',
+        animation: 'flowfield',
+        seed: 9001,
+        settings: { speed: 0.8, density: 0.6, colorMode: 2, hue: 180, saturation: 70 },
+        params: { noiseScale: 0.06 }
+    },
+    {
+        id: 'mono-mandala',
+        name: 'Mono Mandala',
+        animation: 'mandala',
+        seed: 31,
+        settings: { speed: 1.0, density: 0.8, colorMode: 5, hue: 45, saturation: 40 },
+        params: { petals: 8 }
+    },
+    {
+        id: 'synthwave-wormhole',
+        name: 'Synthwave Wormhole',
+        animation: 'wormhole',
+        seed: 1984,
+        settings: { speed: 1.2, density: 0.7, palette: 'synthwave', saturation: 100 },
+        params: { ringCount: 10 }
+    },
+    {
+        id: 'amber-terminal',
+        name: 'Amber Terminal',
+        animation: 'waves',
+        seed: 5150,
+        settings: { speed: 0.7, density: 0.6, palette: 'amber', saturation: 100 },
+        params: { waveScale: 0.15 }
+    }
+];
+
+/**
+ * Turn a name into a preset id
+ * @param {string} name - Preset name
+ * @returns {string} Lowercase, dash-separated id
+ */
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+}
+
+/**
+ * Check a preset from storage or a file, keeping only what can be used
+ * @param {Object} preset - Candidate preset
+ * @returns {Object|null} Clean preset, or null if it is unusable
+ */
+export function validatePreset(preset) {
+    if (!preset || typeof preset !== 'object' || typeof preset.animation !== 'string') {
+        console.warn('Ignoring preset without an animation');
+        return null;
+    }
+
+    const name = typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim() : preset.animation;
+
+    // Round-trip through restoreSettings to drop unknown names and clamp out-of-range values
+    const settings = { ...(preset.settings || {}) };
+    SESSION_SETTINGS.forEach(key => delete settings[key]);
+    const cleanSettings = captureSettings(restoreSettings(settings));
+
+    const params = {};
+    Object.entries(preset.params || {}).forEach(([key, value]) => {
+        // Checked against the animation's schema when applied
+        if (Number.isFinite(Number(value))) params[key] = Number(value);
+    });
+
+    return {
+        id: typeof preset.id === 'string' && preset.id ? preset.id : slugify(name),
+        name,
+        animation: preset.animation,
+        seed: Number.isInteger(preset.seed) ? preset.seed >>> 0 : null,
+        settings: cleanSettings,
+        params
+    };
+}
+
+/**
+ * Get the config overrides a preset applies
+ * A preset without a palette colors by its color mode, so applying it clears the palette.
+ * @param {Object} preset - Preset
+ * @returns {Object} Configuration overrides
+ */
+export function getPresetConfig(preset) {
+    return { palette: null, targetPalette: null, ...restoreSettings(preset.settings) };
+}
+
+/**
+ * Turn a preset into a playlist entry
+ * @param {Object} preset - Preset
+ * @param {Object} overrides - Entry fields to add, e.g. dwell or weight
+ * @returns {Object} Playlist entry
+ */
+export function presetToPlaylistEntry(preset, overrides = {}) {
+    return {
+        id: preset.animation,
+        params: getPresetConfig(preset),
+        animationParams: preset.params,
+        seed: preset.seed,
+        ...overrides
+    };
+}
+
+export class PresetManager {
+    /**
+     * Create a preset manager, loading the user's presets from localStorage
+     */
+    constructor() {
+        this.userPresets = this.load();
+    }
+
+    /**
+     * Load the user's presets
+     * @returns {Array} User presets
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved.map(validatePreset).filter(Boolean) : [];
+        } catch (error) {
+            // Storage can be unavailable (private browsing, sandboxed iframes, Node)
+            return [];
+        }
+    }
+
+    /**
+     * Save the user's presets
+     */
+    store() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.userPresets));
+        } catch (error) {
+            console.warn('Presets could not be saved:', error.message);
+        }
+    }
+
+    /**
+     * Get every preset, built-in ones first
+     * @returns {Array} Presets
+     */
+    list() {
+        return [...builtInPresets, ...this.userPresets];
+    }
+
+    /**
+     * Find a preset
+     * @param {string} id - Preset id
+     * @returns {Object|null} Preset
+     */
+    get(id) {
+        return this.list().find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Check whether a preset ships with AsciiDelic
+     * @param {string} id - Preset id
+     * @returns {boolean} True for built-in presets
+     */
+    isBuiltIn(id) {
+        return builtInPresets.some(preset => preset.id === id);
+    }
+
+    /**
+     * Pick the id for a user preset
+     * Names that slugify alike (e.g. names without ASCII letters or digits) get a numeric
+     * suffix, so only a preset with the same name is replaced.
+     * @param {string} name - Preset name
+     * @param {Array} presets - User presets the id must not clash with
+     * @returns {string} Preset id
+     */
+    getUserPresetId(name, presets = this.userPresets) {
+        const base = `user-${slugify(name)}`;
+        let id = base;
+        for (let suffix = 2; presets.some(preset => preset.id === id && preset.name !== name); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Save a look as a user preset, replacing a user preset of the same name
+     * @param {string} name - Preset name
+     * @param {Object} state - State from captureState
+     * @returns {Object|null} The saved preset
+     */
+    save(name, state) {
+        const preset = validatePreset({
+            id: this.getUserPresetId(name.trim()),
+            name,
+            animation: state.animation,
+            seed: state.config.seed,
+            settings: captureSettings(state.config),
+            params: state.params
+        });
+        if (!preset) return null;
+
+        this.userPresets = this.userPresets.filter(existing => existing.id !== preset.id);
+        this.userPresets.push(preset);
+        this.store();
+        return preset;
+    }
+
+    /**
+     * Delete a user preset
+     * @param {string} id - Preset id
+     * @returns {boolean} True if a preset was deleted
+     */
+    delete(id) {
+        if (this.isBuiltIn(id)) {
+            console.warn(`Built-in preset '${id}' cannot be deleted`);
+            return false;
+        }
+        const count = this.userPresets.length;
+        this.userPresets = this.userPresets.filter(preset => preset.id !== id);
+        this.store();
+        return this.userPresets.length < count;
+    }
+
+    /**
+     * Export presets as JSON
+     * @param {Array} ids - Preset ids to export (defaults to every user preset)
+     * @returns {string} JSON file content
+     */
+    exportPresets(ids = this.userPresets.map(preset => preset.id)) {
+        const presets = ids.map(id => this.get(id)).filter(Boolean);
+        return JSON.stringify({ version: EXPORT_VERSION, presets }, null, 2);
+    }
+
+    /**
+     * Import presets from JSON, adding them to the user's library
+     * Imported presets get user ids, so they never replace built-in ones.
+     * @param {string} json - JSON file content (an export, or a bare array of presets)
+     * @returns {Array} The imported presets
+     */
+    importPresets(json) {
+        const data = JSON.parse(json);
+        const candidates = Array.isArray(data) ? data : (data && data.presets) || [];
+
+        const imported = [];
+        candidates.map(validatePreset).filter(Boolean).forEach(preset => {
+            const id = this.getUserPresetId(preset.name, [...this.userPresets, ...imported]);
+            const index = imported.findIndex(existing => existing.id === id);
+            if (index !== -1) imported.splice(index, 1);
+            imported.push({ ...preset, id });
+        });
+
+        const ids = new Set(imported.map(preset => preset.id));
+        this.userPresets = [...this.userPresets.filter(preset => !ids.has(preset.id)), ...imported];
+        this.store();
+        return imported;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Config Schema - Types, ranges and enums for every key of defaultConfig
+ *
+ * Specs:
+ *   { type: 'number' | 'integer', min, max, wrap }  Clamped to [min, max], or wrapped into [0, wrap)
+ *   { type: 'boolean' }
+ *   { type: 'enum', values }
+ *   { type: 'array', parse, minLength }  `parse` turns an array or text into the items to keep
+ * `nullable: true` also accepts null. `internal: true` marks state the engine and automation
+ * keep for themselves, which users should not need to set.
+ */
+import { colorModes } from './defaults.js';
+import { palettes } from '../utils/palettes.js';
+import { characterSets, parseCharacterList } from '../utils/characterRamps.js';
+
+export const configSchema = {
+    // Display settings
+    width: { type: 'integer', min: 1, max: 1000 },
+    height: { type: 'integer', min: 1, max: 500 },
+    animationSpeed: { type: 'number', min: 1, max: 240 },
+    lowPowerMode: { type: 'boolean' },
+    lowPowerWhenHidden: { type: 'boolean' },
+    lowPowerFps: { type: 'number', min: 0.1, max: 60 },
+    seed: { type: 'integer', min: 0, max: 0xFFFFFFFF, nullable: true },
+
+    // Mode settings
+    isAutomatedMode: { type: 'boolean' },
+
+    // Animation control
+    animationType: { type: 'integer', min: 0, max: Number.MAX_SAFE_INTEGER, internal: true },
+    speed: { type: 'number', min: 0.1, max: 5 },
+    timeScale: { type: 'number', min: 0.1, max: 4 },
+    fixedTimestep: { type: 'number', min: 0, max: 1 },
+    maxSubSteps: { type: 'integer', min: 1, max: 60 },
+    crossfadeDuration: { type: 'number', min: 0, max: 10 },
+    crossfadeStyle: { type: 'enum', values: ['dissolve', 'wipe', 'iris', 'morph', 'random'] },
+
+    // Character appearance
+    density: { type: 'number', min: 0.05, max: 1 },
+    // Character sets can be registered at runtime, so their ids are read when validating
+    characterSet: { type: 'enum', get values() { return Object.keys(characterSets); }, nullable: true },
+    customCharacters: { type: 'array', parse: parseCharacterList, minLength: 1 },
+    asciiOnly: { type: 'boolean' },
+
+    // Color settings
+    // Color modes and palettes can be registered at runtime, so their ranges are read when validating
+    colorMode: { type: 'integer', min: 0, get max() { return colorModes.length - 1; } },
+    baseHue: { type: 'number', wrap: 360 },
+    targetHue: { type: 'number', wrap: 360 },
+    hueTransitionSpeed: { type: 'number', min: 0, max: 10, internal: true },
+    saturation: { type: 'number', min: 0, max: 100 },
+    lightness: { type: 'number', min: 0, max: 100 },
+    palette: { type: 'enum', get values() { return palettes.map(palette => palette.id); }, nullable: true },
+    customPalette: { type: 'array' },
+    paletteMix: { type: 'number', min: 0, max: 1, internal: true },
+    paletteProgress: { type: 'number', min: 0, max: 1, internal: true },
+    quantize: { type: 'enum', values: ['ansi16', 'xterm256', 'c64', 'cga'], nullable: true },
+    dither: { type: 'enum', values: ['none', 'ordered', 'diffusion'] },
+
+    // Accessibility settings
+    reducedMotion: { type: 'boolean' },
+    photosensitivityGuard: { type: 'boolean' },
+    colorblindSafe: { type: 'boolean' },
+
+    // Automated mode settings
+    automationSpeed: { type: 'number', min: 0.05, max: 5 },
+    nextTransitionTime: { type: 'number', min: 0, max: Infinity, internal: true },
+    transitionDuration: { type: 'number', min: 1, max: 600 },
+    transitionProgress: { type: 'number', min: 0, max: 1, internal: true },
+    playlist: { type: 'array', nullable: true },
+    playlistMode: { type: 'enum', values: ['ordered', 'shuffle', 'weighted'] },
+    playlistDwell: { type: 'number', min: 1, max: 3600 },
+
+    // Target values for smooth transitions
+    targetSpeed: { type: 'number', min: 0.1, max: 5, internal: true },
+    targetDensity: { type: 'number', min: 0.05, max: 1, internal: true },
+    targetColorMode: { type: 'integer', min: 0, get max() { return colorModes.length - 1; }, internal: true },
+    targetPalette: { type: 'enum', get values() { return palettes.map(palette => palette.id); }, nullable: true, internal: true },
+
+    // Transition settings
+    transitionStep: { type: 'number', min: 0, max: 1, internal: true }
+};
+
+/**
+ * Check a value against a spec, clamping or wrapping numbers into range
+ * @param {Object} spec - Value spec
+ * @param {*} value - Candidate value
+ * @returns {*} Valid value, or undefined if the value has the wrong type
+ */
+export function normalizeConfigValue(spec, value) {
+    if (value === null) {
+        return spec.nullable ? null : undefined;
+    }
+
+    switch (spec.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'enum':
+            return spec.values.includes(value) ? value : undefined;
+        case 'array': {
+            if (!Array.isArray(value) && !(spec.parse && typeof value === 'string')) return undefined;
+            const items = spec.parse ? spec.parse(value) : value;
+            return items.length >= (spec.minLength || 0) ? items : undefined;
+        }
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'number' || Number.isNaN(value)) return undefined;
+            if (spec.wrap && !Number.isFinite(value)) return undefined;
+            let number = spec.wrap
+                ? ((value % spec.wrap) + spec.wrap) % spec.wrap
+                : Math.max(spec.min, Math.min(spec.max, value));
+            if (spec.type === 'integer') number = Math.round(number);
+            return number;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Validate config changes against the schema
+ * Unknown keys and values of the wrong type are dropped with a warning; numbers are clamped.
+ * @param {Object} changes - Configuration changes
+ * @returns {Object} Valid changes
+ */
+export function validateConfig(changes) {
+    const valid = {};
+    Object.entries(changes).forEach(([key, value]) => {
+        const spec = configSchema[key];
+        if (!spec) {
+            console.warn(`Unknown config key: ${key}`);
+            return;
+        }
+        const normalized = normalizeConfigValue(spec, value);
+        if (normalized === undefined) {
+            console.warn(`Invalid value for config.${key}: ${value}`);
+            return;
+        }
+        valid[key] = normalized;
+    });
+    return valid;
+}
@@ -0,0 +1,141 @@
+/**
+ * Accessibility - Reduced motion and photosensitivity limits enforced by the engine
+ *
+ * Reduced motion caps the speed animations and automation may use and keeps crossfades
+ * to a plain dissolve. The flash limiter is a display stage: it bounds how fast each cell's
+ * lightness and hue, and the frame's overall lightness, may change, whatever drew them.
+ * Its rates are per second of real time, so fast forward and seeking cannot speed flashes up.
+ */
+
+// Highest animation speed while reduced motion is on
+export const REDUCED_MOTION_MAX_SPEED = 0.8;
+
+// Lightness units (0-100) a cell may change per second; a full dark-light swing takes well over a second,
+// keeping flashes far below the three per second WCAG allows
+const MAX_CELL_LIGHTNESS_RATE = 60;
+
+// Degrees a cell's hue may turn per second
+const MAX_CELL_HUE_RATE = 120;
+
+// Average lightness change per second allowed across the whole frame
+const MAX_FRAME_LIGHTNESS_RATE = 20;
+
+// Below this lightness a cell is too dark for its hue to show, so the hue may jump
+const HUE_VISIBLE_LIGHTNESS = 5;
+
+/**
+ * Get the configuration animations run with, within the reduced motion limits
+ * @param {Object} config - Engine configuration
+ * @returns {Object} The configuration, or a copy with the speed capped
+ */
+export function applyMotionLimits(config) {
+    if (!config.reducedMotion || config.speed <= REDUCED_MOTION_MAX_SPEED) return config;
+    return { ...config, speed: REDUCED_MOTION_MAX_SPEED };
+}
+
+/**
+ * Limits how fast displayed colors may change between frames
+ */
+export class FlashLimiter {
+    /**
+     * Create a flash limiter
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget the previous frame; the next frame is shown as it is
+     */
+    reset() {
+        this.lightness = null; // Displayed lightness per cell, 0 where nothing shows
+        this.hue = null; // Displayed hue per cell
+        this.characters = null; // Last visible character per cell, kept to fade it out
+        this.changes = null; // Scratch space for the lightness changes of a frame
+    }
+
+    /**
+     * Write a grid into a target, moving each cell's color from the last displayed frame
+     * towards the source no faster than the limits allow
+     * Characters that appear fade in and characters that disappear fade out.
+     * @param {CharacterGrid} source - Grid to show
+     * @param {CharacterGrid} target - Grid of the same size to write (may be the source)
+     * @param {number} deltaTime - Real (unscaled) seconds since the previous frame was shown
+     * @returns {CharacterGrid} The target grid
+     */
+    limit(source, target, deltaTime) {
+        const { width, height } = source;
+        const size = width * height;
+
+        if (!this.lightness || this.lightness.length !== size) {
+            this.start(source, target);
+            return target;
+        }
+
+        const maxLightnessStep = MAX_CELL_LIGHTNESS_RATE * deltaTime;
+        const maxHueStep = MAX_CELL_HUE_RATE * deltaTime;
+
+        // Limit each cell, then scale everything down if the frame as a whole changes too much
+        let total = 0;
+        source.forEach((x, y, cell) => {
+            const index = y * width + x;
+            const wanted = (cell.character === ' ' ? 0 : cell.lightness) - this.lightness[index];
+            const change = Math.max(-maxLightnessStep, Math.min(maxLightnessStep, wanted));
+            this.changes[index] = change;
+            total += Math.abs(change);
+        });
+        const frameLimit = MAX_FRAME_LIGHTNESS_RATE * deltaTime * size;
+        const scale = total > frameLimit ? frameLimit / total : 1;
+
+        source.forEach((x, y, cell) => {
+            const index = y * width + x;
+            const lightness = this.lightness[index] + this.changes[index] * scale;
+            this.lightness[index] = lightness;
+
+            if (cell.character === ' ') {
+                // Keep showing the old character until it has faded out
+                if (lightness < 1 || !this.characters[index]) {
+                    target.setCell(x, y, cell);
+                } else {
+                    target.setCell(x, y, { ...cell, character: this.characters[index], hue: this.hue[index], lightness });
+                }
+                return;
+            }
+
+            let hue = cell.hue;
+            if (lightness >= HUE_VISIBLE_LIGHTNESS) {
+                const wanted = ((cell.hue - this.hue[index] + 540) % 360) - 180;
+                const change = Math.max(-maxHueStep, Math.min(maxHueStep, wanted));
+                hue = (this.hue[index] + change + 360) % 360;
+            }
+            this.hue[index] = hue;
+            this.characters[index] = cell.character;
+            target.setCell(x, y, { ...cell, hue, lightness });
+        });
+
+        return target;
+    }
+
+    /**
+     * Take a frame as the starting point, copying it unchanged
+     * @param {CharacterGrid} source - Grid to show
+     * @param {CharacterGrid} target - Grid of the same size to write
+     */
+    start(source, target) {
+        const size = source.width * source.height;
+        this.lightness = new Float32Array(size);
+        this.hue = new Float32Array(size);
+        this.characters = new Array(size).fill(null);
+        this.changes = new Float32Array(size);
+
+        source.forEach((x, y, cell) => {
+            const index = y * source.width + x;
+            if (cell.character !== ' ') {
+                this.lightness[index] = cell.lightness;
+                this.hue[index] = cell.hue;
+                this.characters[index] = cell.character;
+            }
+            target.setCell(x, y, cell);
+        });
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Animation Lifecycle - The animation object contract, and an adapter for plain animation functions
+ *
+ * An animation object implements `update` and any of the other hooks:
+ *   init(grid, config, rng) => state
+ *       Create per-instance state when the animation becomes active
+ *   update(state, grid, time, deltaTime, config, characters, colorManager, params, rng)
+ *       Advance the simulation and draw a frame into the grid (params holds the values
+ *       for the parameter schema the animation was registered with)
+ *   resize(state, width, height, grid, config, rng) => state
+ *       The grid changed size (defaults to dispose followed by init, so no state sized
+ *       for the old grid survives; animations whose state does not depend on the size
+ *       return it unchanged)
+ *   reset(state, grid, config, rng) => state
+ *       Start the simulation over (defaults to dispose followed by init)
+ *   dispose(state)
+ *       Release the state when the engine switches to another animation
+ *   clone(state) => state
+ *       Copy the state for the engine's seek snapshots (defaults to cloneState)
+ *
+ * The engine owns the state returned by init/reset and hands it back to every hook.
+ * `rng` is the engine's seeded generator (see createRandom in utils/math.js); draw every
+ * random number from it so that runs with the same seed repeat exactly.
+ */
+
+const noop = () => {};
+
+/**
+ * Deep-copy animation state
+ * Plain objects, arrays, Maps, Sets and typed arrays are copied, keeping cycles and shared
+ * references intact; anything else (class instances such as the color manager, functions) is shared.
+ * @param {*} value - State to copy
+ * @param {Map} copies - Copies made so far, by original
+ * @returns {*} Copy of the state
+ */
+export function cloneState(value, copies = new Map()) {
+    if (value === null || typeof value !== 'object') return value;
+    if (copies.has(value)) return copies.get(value);
+
+    let copy;
+    if (ArrayBuffer.isView(value)) {
+        copy = value.slice();
+        copies.set(value, copy);
+    } else if (Array.isArray(value)) {
+        copy = [];
+        copies.set(value, copy);
+        value.forEach(item => copy.push(cloneState(item, copies)));
+    } else if (value instanceof Map) {
+        copy = new Map();
+        copies.set(value, copy);
+        value.forEach((item, key) => copy.set(key, cloneState(item, copies)));
+    } else if (value instanceof Set) {
+        copy = new Set();
+        copies.set(value, copy);
+        value.forEach(item => copy.add(cloneState(item, copies)));
+    } else if (Object.getPrototypeOf(value) === Object.prototype) {
+        copy = {};
+        copies.set(value, copy);
+        Object.keys(value).forEach(key => {
+            copy[key] = cloneState(value[key], copies);
+        });
+    } else {
+        copy = value;
+    }
+    return copy;
+}
+
+/**
+ * Check whether a value implements the animation object contract
+ * @param {*} animation - Candidate animation
+ * @returns {boolean} True if it has an update hook
+ */
+export function isAnimationObject(animation) {
+    return Boolean(animation) && typeof animation === 'object' && typeof animation.update === 'function';
+}
+
+/**
+ * Normalize an animation function or object to a full set of lifecycle hooks
+ * Plain functions `(grid, time, deltaTime, config, characters, colorManager, params, rng)` get null state.
+ * @param {Function|Object} animation - Animation function or animation object
+ * @returns {Object|null} Lifecycle hooks, or null if the animation is neither
+ */
+export function createLifecycle(animation) {
+    if (typeof animation === 'function') {
+        return {
+            init: () => null,
+            update: (state, ...args) => animation(...args),
+            resize: () => null,
+            reset: () => null,
+            dispose: noop,
+            clone: () => null
+        };
+    }
+
+    if (!isAnimationObject(animation)) {
+        return null;
+    }
+
+    const init = animation.init ? animation.init.bind(animation) : () => null;
+    const dispose = animation.dispose ? animation.dispose.bind(animation) : noop;
+    const restart = (state, grid, config, rng) => {
+        dispose(state);
+        return init(grid, config, rng);
+    };
+
+    return {
+        init,
+        update: animation.update.bind(animation),
+        resize: animation.resize
+            ? animation.resize.bind(animation)
+            : (state, width, height, grid, config, rng) => restart(state, grid, config, rng),
+        reset: animation.reset ? animation.reset.bind(animation) : restart,
+        dispose,
+        clone: animation.clone ? animation.clone.bind(animation) : state => cloneState(state)
+    };
+}
@@ -0,0 +1,56 @@
+/**
+ * Animation Parameters - Defaults, clamping and formatting for per-animation parameter schemas
+ *
+ * A schema maps parameter names to specs:
+ *   { type: 'number' | 'integer', label, min, max, step, default, auto }
+ * With `auto: true`, the value 0 lets the animation choose (e.g. derive it from density).
+ */
+
+/**
+ * Get the default values for a schema
+ * @param {Object} schema - Parameter schema
+ * @returns {Object} Parameter values
+ */
+export function getParamDefaults(schema = {}) {
+    const values = {};
+    Object.entries(schema).forEach(([name, spec]) => {
+        values[name] = spec.default;
+    });
+    return values;
+}
+
+/**
+ * Clamp a value to a parameter's range and snap it to its step
+ * @param {Object} spec - Parameter spec
+ * @param {number} value - Requested value
+ * @returns {number} Valid value
+ */
+export function normalizeParamValue(spec, value) {
+    let number = Number(value);
+    if (!Number.isFinite(number)) return spec.default;
+
+    number = Math.max(spec.min, Math.min(spec.max, number));
+    if (spec.step) {
+        number = spec.min + Math.round((number - spec.min) / spec.step) * spec.step;
+        // Undo floating point drift from the step arithmetic (0.1 + 0.2 and friends)
+        number = parseFloat(number.toFixed(6));
+    }
+    if (spec.type === 'integer') {
+        number = Math.round(number);
+    }
+    return number;
+}
+
+/**
+ * Format a parameter value for display
+ * @param {Object} spec - Parameter spec
+ * @param {number} value - Parameter value
+ * @returns {string} Display text
+ */
+export function formatParamValue(spec, value) {
+    if (spec.auto && value === 0) return 'Auto';
+    if (spec.type === 'integer') return String(value);
+
+    const decimals = spec.step ? Math.max(0, -Math.floor(Math.log10(spec.step))) : 2;
+    return value.toFixed(decimals);
+}
@@ -0,0 +1,198 @@
+/**
+ * ANSI Renderer - Renders the character grid to a terminal with ANSI escape codes
+ */
+import { hslToRgb } from '../utils/color.js';
+
+const ESC = '\x1b[';
+
+/**
+ * Standard 16-color terminal palette (xterm defaults) with SGR foreground codes
+ */
+export const ansi16Palette = [
+    { code: 30, r: 0, g: 0, b: 0 },
+    { code: 31, r: 205, g: 0, b: 0 },
+    { code: 32, r: 0, g: 205, b: 0 },
+    { code: 33, r: 205, g: 205, b: 0 },
+    { code: 34, r: 0, g: 0, b: 238 },
+    { code: 35, r: 205, g: 0, b: 205 },
+    { code: 36, r: 0, g: 205, b: 205 },
+    { code: 37, r: 229, g: 229, b: 229 },
+    { code: 90, r: 127, g: 127, b: 127 },
+    { code: 91, r: 255, g: 0, b: 0 },
+    { code: 92, r: 0, g: 255, b: 0 },
+    { code: 93, r: 255, g: 255, b: 0 },
+    { code: 94, r: 92, g: 92, b: 255 },
+    { code: 95, r: 255, g: 0, b: 255 },
+    { code: 96, r: 0, g: 255, b: 255 },
+    { code: 97, r: 255, g: 255, b: 255 }
+];
+
+/**
+ * Detect the color depth a terminal supports from its environment
+ * @param {Object} env - Environment variables (e.g. process.env)
+ * @returns {string} 'truecolor', '256' or '16'
+ */
+export function detectColorDepth(env = {}) {
+    const colorTerm = (env.COLORTERM || '').toLowerCase();
+    if (colorTerm === 'truecolor' || colorTerm === '24bit') return 'truecolor';
+    if ((env.TERM || '').includes('256')) return '256';
+    return '16';
+}
+
+/**
+ * Map an RGB color to the nearest xterm 256-color index
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} Color index (16-255)
+ */
+export function rgbToAnsi256(r, g, b) {
+    // Near-gray colors use the 24-step grayscale ramp for finer steps
+    if (Math.abs(r - g) < 8 && Math.abs(g - b) < 8) {
+        if (r < 8) return 16;
+        if (r > 248) return 231;
+        return Math.round(((r - 8) / 247) * 24) + 232;
+    }
+
+    const toCube = (value) => Math.round((value / 255) * 5);
+    return 16 + 36 * toCube(r) + 6 * toCube(g) + toCube(b);
+}
+
+/**
+ * Map an RGB color to the nearest 16-color SGR foreground code
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} SGR code (30-37, 90-97)
+ */
+export function rgbToAnsi16(r, g, b) {
+    let best = ansi16Palette[0];
+    let bestDistance = Infinity;
+
+    for (const entry of ansi16Palette) {
+        const distance = (r - entry.r) ** 2 + (g - entry.g) ** 2 + (b - entry.b) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = entry;
+        }
+    }
+
+    return best.code;
+}
+
+/**
+ * Build the foreground color escape sequence for a cell
+ * @param {Object} cell - Grid cell with hue, saturation and lightness
+ * @param {string} colorDepth - 'truecolor', '256' or '16'
+ * @returns {string} ANSI escape sequence
+ */
+export function ansiColor(cell, colorDepth = 'truecolor') {
+    const { r, g, b } = hslToRgb(cell.hue, cell.saturation, cell.lightness);
+
+    switch (colorDepth) {
+        case '256':
+            return `${ESC}38;5;${rgbToAnsi256(r, g, b)}m`;
+        case '16':
+            return `${ESC}${rgbToAnsi16(r, g, b)}m`;
+        default:
+            return `${ESC}38;2;${r};${g};${b}m`;
+    }
+}
+
+/**
+ * Convert a grid to ANSI-colored text
+ * @param {CharacterGrid} grid - The grid to convert
+ * @param {string} colorDepth - 'truecolor', '256' or '16'
+ * @param {string} lineBreak - Separator written between rows
+ * @returns {string} ANSI text with one line per grid row
+ */
+export function gridToAnsi(grid, colorDepth = 'truecolor', lineBreak = '\n') {
+    const lines = [];
+
+    for (let y = 0; y < grid.height; y++) {
+        let line = '';
+        let currentColor = null;
+
+        for (let x = 0; x < grid.width; x++) {
+            const cell = grid.getCell(x, y);
+            if (!cell) continue;
+
+            // Spaces carry no color, so leave the current color untouched
+            if (cell.character !== ' ') {
+                const color = ansiColor(cell, colorDepth);
+                if (color !== currentColor) {
+                    line += color;
+                    currentColor = color;
+                }
+            }
+            line += cell.character;
+        }
+
+        lines.push(line + `${ESC}0m`);
+    }
+
+    return lines.join(lineBreak);
+}
+
+export class AnsiRenderer {
+    /**
+     * Create a new ANSI renderer
+     * @param {Object} output - Writable stream (e.g. process.stdout)
+     * @param {Object} options - Renderer options
+     * @param {string} options.colorDepth - 'truecolor', '256' or '16'
+     */
+    constructor(output, options = {}) {
+        this.output = output;
+        this.colorDepth = options.colorDepth || 'truecolor';
+        this.statusLine = '';
+    }
+
+    /**
+     * Set the color depth
+     * @param {string} colorDepth - 'truecolor', '256' or '16'
+     */
+    setColorDepth(colorDepth) {
+        if (['truecolor', '256', '16'].includes(colorDepth)) {
+            this.colorDepth = colorDepth;
+        } else {
+            console.warn(`Unsupported color depth: ${colorDepth}`);
+        }
+    }
+
+    /**
+     * Set the text shown on the line below the grid
+     * @param {string} text - Status text
+     */
+    setStatusLine(text) {
+        this.statusLine = text;
+    }
+
+    /**
+     * Switch the terminal to the alternate screen and hide the cursor
+     */
+    enter() {
+        this.output.write(`${ESC}?1049h${ESC}?25l${ESC}2J`);
+    }
+
+    /**
+     * Restore the terminal to its normal state
+     */
+    exit() {
+        this.output.write(`${ESC}0m${ESC}?25h${ESC}?1049l`);
+    }
+
+    /**
+     * Render the grid to the terminal
+     * @param {CharacterGrid} grid - The grid to render
+     */
+    render(grid) {
+        let frame = `${ESC}H`; // Cursor home, overwrite in place to avoid flicker
+        frame += gridToAnsi(grid, this.colorDepth, '\r\n');
+
+        if (this.statusLine) {
+            frame += `\r\n${ESC}2K${this.statusLine}`;
+        }
+
+        this.output.write(frame);
+    }
+}
@@ -1,19 +1,54 @@
 /**
  * Automation Manager - Handles automated parameter changes
+ *
+ * With reduced motion on, changes are only ever eased towards, speed stays within
+ * REDUCED_MOTION_MAX_SPEED and the color mode is left alone.
  */
+import { colorModes } from '../../config/defaults.js';
+import { palettes, CUSTOM_PALETTE } from '../../utils/palettes.js';
+import { REDUCED_MOTION_MAX_SPEED } from '../accessibility.js';
 
 /**
- * AutomationManager manages the automatic parameter changes
+ * Playlist entry parameters that also have an automation target to keep in step
+ */
+const targetParameters = {
+    speed: 'targetSpeed',
+    density: 'targetDensity',
+    colorMode: 'targetColorMode',
+    baseHue: 'targetHue',
+    palette: 'targetPalette'
+};
+
+/**
+ * Quadratic ease in-out
+ * @param {number} t - Linear progress (0-1)
+ * @returns {number} Eased progress (0-1)
+ */
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * AutomationManager manages the automatic parameter changes and playlist
  */
 export class AutomationManager {
     /**
      * Create a new automation manager
      * @param {Object} config - Configuration settings
      * @param {Function} updateConfigCallback - Callback to update config
+     * @param {Function} playEntryCallback - Callback to switch to a playlist entry's animation
+     * @param {Function} random - The engine's seeded random generator, returning numbers in [0, 1)
      */
-    constructor(config, updateConfigCallback) {
+    constructor(config, updateConfigCallback, playEntryCallback, random) {
         this.config = config;
-        this.updateConfig = updateConfigCallback;
+        this.commitConfig = updateConfigCallback;
+        this.playEntry = playEntryCallback;
+        this.random = random;
+        this.pendingChanges = null; // Config changes collected during updateParameters
+        
+        // Playlist state
+        this.playlist = null;
+        this.entryEndTime = null; // When the current entry's dwell runs out
     }
     
     /**
@@ -24,12 +59,61 @@ export class AutomationManager {
         this.config = config;
     }
     
+    /**
+     * Change config values
+     * During updateParameters the changes are collected and committed to the engine together
+     * at the end, so a frame of drift costs one engine update instead of one per parameter.
+     * @param {Object} changes - Configuration changes
+     */
+    updateConfig(changes) {
+        if (!this.pendingChanges) {
+            this.commitConfig(changes);
+            return;
+        }
+        Object.assign(this.pendingChanges, changes);
+        this.config = { ...this.config, ...changes }; // Later steps of the frame see the new values
+    }
+    
+    /**
+     * Set the playlist automated mode cycles through
+     * @param {Playlist} playlist - Playlist, or null to stay on one animation
+     */
+    setPlaylist(playlist) {
+        this.playlist = playlist;
+        this.entryEndTime = null;
+    }
+    
+    /**
+     * Get the playlist state, for restoring it later
+     * The drifting parameters themselves live in the config.
+     * @returns {Object} Playlist, its play position and when the current entry ends
+     */
+    getState() {
+        return {
+            playlist: this.playlist,
+            playlistState: this.playlist ? this.playlist.getState() : null,
+            entryEndTime: this.entryEndTime
+        };
+    }
+    
+    /**
+     * Return to a state saved with getState
+     * @param {Object} state - Playlist, its play position and when the current entry ends
+     */
+    setState(state) {
+        this.playlist = state.playlist;
+        if (state.playlist) state.playlist.setState(state.playlistState);
+        this.entryEndTime = state.entryEndTime;
+    }
+    
     /**
      * Update parameters automatically
      * @param {number} time - Current time in seconds
      * @param {number} deltaTime - Time since last update in seconds
      */
     updateParameters(time, deltaTime) {
+        this.pendingChanges = {};
+        
         // Check if it's time to set new target parameters
         if (time >= this.config.nextTransitionTime) {
             this.setNewTargets(time);
@@ -38,6 +122,69 @@ export class AutomationManager {
         // Gradually transition between values using easing function
         this.updateTransitionProgress(deltaTime);
         this.applyParameterTransitions();
+        
+        // Palette crossfades keep their own progress, so new targets do not restart them
+        this.transitionPalette(deltaTime);
+        
+        const changes = this.pendingChanges;
+        this.pendingChanges = null;
+        if (Object.keys(changes).length > 0) {
+            this.commitConfig(changes);
+        }
+        
+        // Move on when the current playlist entry has had its time
+        this.updatePlaylist(time);
+    }
+    
+    /**
+     * Advance the playlist once the current entry's dwell time is over
+     * @param {number} time - Current time in seconds
+     */
+    updatePlaylist(time) {
+        if (!this.playlist || this.playlist.length === 0) return;
+        
+        const entry = this.playlist.current();
+        if (this.entryEndTime === null) {
+            // Start timing the entry that is already showing
+            this.entryEndTime = time + entry.dwell;
+        } else if (time >= this.entryEndTime) {
+            this.advancePlaylist(1, time);
+        }
+    }
+    
+    /**
+     * Switch to the next or previous playlist entry
+     * @param {number} direction - 1 for next, -1 for previous
+     * @param {number} time - Current time in seconds
+     * @returns {Object|null} The entry switched to
+     */
+    advancePlaylist(direction, time) {
+        if (!this.playlist || this.playlist.length === 0) return null;
+        
+        const entry = direction < 0 ? this.playlist.previous() : this.playlist.next();
+        this.entryEndTime = time + entry.dwell;
+        
+        this.applyEntryParameters(entry.params);
+        this.playEntry(entry);
+        return entry;
+    }
+    
+    /**
+     * Apply a playlist entry's parameter overrides, moving automation targets along with them
+     * so the drift does not immediately pull the values back
+     * @param {Object} params - Configuration overrides
+     */
+    applyEntryParameters(params) {
+        const updates = { ...params };
+        Object.entries(targetParameters).forEach(([name, target]) => {
+            if (params[name] !== undefined && params[target] === undefined) {
+                updates[target] = params[name];
+            }
+        });
+        
+        if (Object.keys(updates).length > 0) {
+            this.updateConfig(updates);
+        }
     }
     
     /**
@@ -45,16 +192,13 @@ export class AutomationManager {
      * @param {number} time - Current time in seconds
      */
     setNewTargets(time) {
-        // Set the next transition time
-        this.config.nextTransitionTime = time + this.config.transitionDuration;
-        
-        // Reset transition progress
-        this.updateConfig({ transitionProgress: 0 });
+        // Set the next transition time and reset transition progress
+        this.updateConfig({ nextTransitionTime: time + this.config.transitionDuration, transitionProgress: 0 });
         
         // Select which parameters to transition (only change some at a time)
-        const changeSpeed = Math.random() < 0.6;  // 60% chance
-        const changeDensity = Math.random() < 0.4; // 40% chance 
-        const changeColorMode = Math.random() < 0.15; // 15% chance (rare)
+        const changeSpeed = this.random() < 0.6;  // 60% chance
+        const changeDensity = this.random() < 0.4; // 40% chance 
+        const changeColorMode = this.random() < 0.15; // 15% chance (rare)
         const changeHue = true; // Always change, but gradually
         
         // Set new target values
@@ -62,6 +206,7 @@ export class AutomationManager {
         this.updateDensityIfNeeded(changeDensity);
         this.updateColorModeIfNeeded(changeColorMode);
         this.updateHueIfNeeded(changeHue);
+        this.updatePaletteIfNeeded();
     }
     
     /**
@@ -73,13 +218,21 @@ export class AutomationManager {
             // Target a speed that's not too far from current (gradual change)
             const currentSpeed = this.config.speed;
             const maxChange = 0.8; // Maximum change allowed
-            const newTarget = currentSpeed + (Math.random() * maxChange * 2 - maxChange);
+            const newTarget = currentSpeed + (this.random() * maxChange * 2 - maxChange);
             // Keep within reasonable bounds
-            const targetSpeed = Math.max(0.3, Math.min(2.5, newTarget));
+            const targetSpeed = Math.max(0.3, Math.min(this.getMaxSpeed(), newTarget));
             this.updateConfig({ targetSpeed });
         }
     }
     
+    /**
+     * Get the fastest speed automation may pick
+     * @returns {number} Speed multiplier
+     */
+    getMaxSpeed() {
+        return this.config.reducedMotion ? REDUCED_MOTION_MAX_SPEED : 2.5;
+    }
+    
     /**
      * Update density parameter if needed
      * @param {boolean} changeDensity - Whether to change density
@@ -89,7 +242,7 @@ export class AutomationManager {
             // Target a density that's not too far from current
             const currentDensity = this.config.density;
             const maxChange = 0.3; // Maximum change allowed
-            const newTarget = currentDensity + (Math.random() * maxChange * 2 - maxChange);
+            const newTarget = currentDensity + (this.random() * maxChange * 2 - maxChange);
             // Keep within reasonable bounds
             const targetDensity = Math.max(0.2, Math.min(0.9, newTarget));
             this.updateConfig({ targetDensity });
@@ -98,26 +251,53 @@ export class AutomationManager {
     
     /**
      * Randomize all parameters at once
-     * Creates dramatic instant changes for visual impact
+     * Creates dramatic instant changes for visual impact, or with reduced motion
+     * new targets that are eased towards
      * @returns {Object} The randomized parameters
      */
     randomizeAllParameters() {
         // Generate completely random values (not gradual changes)
         
-        // Random speed (0.3 to 2.5)
-        const randomSpeed = 0.3 + Math.random() * 2.2;
+        // Random speed (0.3 to 2.5, or up to the reduced motion cap)
+        const randomSpeed = 0.3 + this.random() * (this.getMaxSpeed() - 0.3);
         
         // Random density (0.2 to 0.9)
-        const randomDensity = 0.2 + Math.random() * 0.7;
+        const randomDensity = 0.2 + this.random() * 0.7;
         
-        // Random color mode (0 to 3)
-        const randomColorMode = Math.floor(Math.random() * 4);
+        // Random color mode
+        const randomColorMode = Math.floor(this.random() * colorModes.length);
         
         // Random hue (0 to 359)
-        const randomHue = Math.floor(Math.random() * 360);
+        const randomHue = Math.floor(this.random() * 360);
+        
+        // Random palette, if one is in use
+        const randomPalette = this.pickPalette();
         
         // Faster transition for more immediate visual effect
-        const randomTransitionSpeed = 0.1 + Math.random() * 0.1;
+        const randomTransitionSpeed = 0.1 + this.random() * 0.1;
+        
+        if (this.config.reducedMotion) {
+            // Ease towards the new values, keeping the color mode and any crossfade running
+            this.updateConfig({
+                targetSpeed: randomSpeed,
+                targetDensity: randomDensity,
+                targetHue: randomHue,
+                transitionProgress: 0,
+                ...(randomPalette && this.config.palette === this.config.targetPalette && {
+                    targetPalette: randomPalette,
+                    paletteMix: 0,
+                    paletteProgress: 0
+                })
+            });
+            
+            return {
+                speed: randomSpeed,
+                density: randomDensity,
+                colorMode: this.config.colorMode,
+                hue: randomHue,
+                palette: randomPalette || this.config.palette
+            };
+        }
         
         // Update all parameters at once
         this.updateConfig({
@@ -141,14 +321,18 @@ export class AutomationManager {
             hueTransitionSpeed: randomTransitionSpeed,
             
             // Reset transition so changes start taking effect immediately
-            transitionProgress: 0
+            transitionProgress: 0,
+            
+            // Switch palette immediately
+            ...(randomPalette && { palette: randomPalette, targetPalette: randomPalette, paletteMix: 0, paletteProgress: 0 })
         });
         
         return {
             speed: randomSpeed,
             density: randomDensity,
             colorMode: randomColorMode,
-            hue: randomHue
+            hue: randomHue,
+            palette: randomPalette || this.config.palette
         };
     }
     
@@ -157,18 +341,48 @@ export class AutomationManager {
      * @param {boolean} changeColorMode - Whether to change color mode
      */
     updateColorModeIfNeeded(changeColorMode) {
-        if (changeColorMode) {
+        // Switching color mode changes every cell at once
+        if (changeColorMode && !this.config.reducedMotion) {
             // Occasionally change the target color mode
             const currentMode = this.config.colorMode;
             // Pick a different mode than current
             let newMode;
             do {
-                newMode = Math.floor(Math.random() * 4); // 0-3
+                newMode = Math.floor(this.random() * colorModes.length);
             } while (newMode === currentMode);
             this.updateConfig({ targetColorMode: newMode });
         }
     }
     
+    /**
+     * Occasionally pick a new target palette to crossfade to
+     * Only while a built-in palette is showing and no crossfade is running.
+     */
+    updatePaletteIfNeeded() {
+        if (this.config.palette !== this.config.targetPalette) return;
+        
+        const newPalette = this.pickPalette();
+        if (newPalette && this.random() < 0.15) { // 15% chance (rare)
+            this.updateConfig({ targetPalette: newPalette, paletteMix: 0, paletteProgress: 0 });
+        }
+    }
+    
+    /**
+     * Pick a random built-in palette other than the current one
+     * Nothing is picked without a palette (coloring by color mode) or with the custom palette,
+     * which is the user's own look. In colorblind-safe mode only safe palettes are picked.
+     * @returns {string|null} Palette id, or null to keep the current one
+     */
+    pickPalette() {
+        const current = this.config.palette;
+        if (!current || current === CUSTOM_PALETTE) return null;
+        
+        const choices = palettes.filter(palette => palette.id !== current && palette.id !== CUSTOM_PALETTE &&
+            (!this.config.colorblindSafe || palette.colorblindSafe));
+        if (choices.length === 0) return null;
+        return choices[Math.floor(this.random() * choices.length)].id;
+    }
+    
     /**
      * Update hue parameter if needed
      * @param {boolean} changeHue - Whether to change hue
@@ -178,15 +392,15 @@ export class AutomationManager {
             // Gradually shift hue - always change this for visual interest
             // Choose a target that's 60-180 degrees away for nice transitions
             const currentHue = this.config.targetHue;
-            const hueShift = 60 + Math.random() * 120; // Between 60 and 180 degrees
-            const direction = Math.random() < 0.5 ? 1 : -1; // Clockwise or counterclockwise
+            const hueShift = 60 + this.random() * 120; // Between 60 and 180 degrees
+            const direction = this.random() < 0.5 ? 1 : -1; // Clockwise or counterclockwise
             let newHue = (currentHue + (hueShift * direction)) % 360;
             if (newHue < 0) newHue += 360;
             
             this.updateConfig({ targetHue: newHue });
             
             // Adjust transition speed slightly for color
-            const newTransitionSpeed = 0.02 + Math.random() * 0.04; // Between 0.02 and 0.06 (more subtle)
+            const newTransitionSpeed = 0.02 + this.random() * 0.04; // Between 0.02 and 0.06 (more subtle)
             this.updateConfig({ hueTransitionSpeed: newTransitionSpeed });
         }
     }
@@ -196,9 +410,7 @@ export class AutomationManager {
      * @param {number} deltaTime - Time since last update in seconds
      */
     updateTransitionProgress(deltaTime) {
-        // Increment transition progress based on time
-        const step = this.config.transitionStep * (deltaTime * 60); // Normalize for 60fps
-        let progress = this.config.transitionProgress + step;
+        let progress = this.config.transitionProgress + this.getProgressStep(deltaTime);
         
         // Cap at 1.0
         if (progress >= 1.0) {
@@ -209,6 +421,16 @@ export class AutomationManager {
         this.updateConfig({ transitionProgress: progress });
     }
     
+    /**
+     * Get how far a transition moves in a time step
+     * @param {number} deltaTime - Time since last update in seconds
+     * @returns {number} Progress step (0-1)
+     */
+    getProgressStep(deltaTime) {
+        // Scaled by automationSpeed (0.5 is the base rate)
+        return this.config.transitionStep * (deltaTime * 60) * (this.config.automationSpeed * 2); // Normalize for 60fps
+    }
+    
     /**
      * Apply smooth transitions between current and target parameter values
      */
@@ -217,8 +439,7 @@ export class AutomationManager {
         if (this.config.transitionProgress <= 0) return;
         
         // Get ease value for smoother transitions (ease in-out)
-        const t = this.config.transitionProgress;
-        const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; // Quadratic ease in-out
+        const ease = easeInOut(this.config.transitionProgress);
         
         // Smoothly transition between current and target values
         this.transitionSpeed(ease);
@@ -254,8 +475,27 @@ export class AutomationManager {
      */
     transitionColorMode(ease) {
         // Color mode transition (discrete, so only apply at certain threshold)
-        if (this.config.colorMode !== this.config.targetColorMode && ease > 0.9) {
+        if (this.config.colorMode !== this.config.targetColorMode && ease > 0.9 && !this.config.reducedMotion) {
             this.updateConfig({ colorMode: this.config.targetColorMode });
         }
     }
-}
\ No newline at end of file
+    
+    /**
+     * Crossfade from the current palette to the target palette
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    transitionPalette(deltaTime) {
+        if (this.config.palette === this.config.targetPalette) {
+            // A crossfade cut short (e.g. by picking a palette) must not leave progress for the next one
+            if (this.config.paletteProgress !== 0) this.updateConfig({ paletteProgress: 0 });
+            return;
+        }
+        
+        const progress = Math.min(1, this.config.paletteProgress + this.getProgressStep(deltaTime));
+        if (progress >= 1) {
+            this.updateConfig({ palette: this.config.targetPalette, paletteMix: 0, paletteProgress: 0 });
+        } else {
+            this.updateConfig({ paletteProgress: progress, paletteMix: easeInOut(progress) });
+        }
+    }
+}
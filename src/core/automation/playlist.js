@@ -0,0 +1,201 @@
+/**
+ * Playlist - Ordered, shuffled or weighted sequence of animations for automated mode
+ */
+/**
+ * Default playlist options
+ */
+const defaultPlaylistOptions = {
+    mode: 'ordered', // 'ordered', 'shuffle' or 'weighted'
+    dwell: 45, // Seconds each entry plays unless it sets its own dwell
+    random: Math.random // Generator for shuffling and weighted picks (the engine passes its seeded one)
+};
+
+// Entries remembered for previous()
+const MAX_HISTORY = 50;
+
+export class Playlist {
+    /**
+     * Create a playlist
+     * @param {Array} entries - Animation ids, or entries of { id, dwell, weight, params, animationParams, seed }
+     * @param {Object} options - Playlist options
+     * @param {string} options.mode - 'ordered', 'shuffle' or 'weighted'
+     * @param {number} options.dwell - Default seconds per entry
+     * @param {Function} options.random - Random generator returning numbers in [0, 1)
+     */
+    constructor(entries = [], options = {}) {
+        this.options = { ...defaultPlaylistOptions, ...options };
+        this.entries = [];
+        this.order = []; // Entry indices in play order (shuffled in shuffle mode)
+        this.position = 0; // Position in this.order
+        this.history = []; // Previously played entry indices, for previous()
+        this.setEntries(entries);
+    }
+
+    /**
+     * Replace the entries and start from the top
+     * @param {Array} entries - Animation ids, or entries of { id, dwell, weight, params, animationParams, seed }
+     */
+    setEntries(entries) {
+        this.entries = entries.map(entry => this.normalizeEntry(entry));
+        this.history = [];
+        this.position = 0;
+        this.buildOrder();
+    }
+
+    /**
+     * Fill in defaults for an entry
+     * @param {string|Object} entry - Animation id or entry
+     * @returns {Object} Entry with id, dwell, weight, params (config overrides), animationParams and seed
+     */
+    normalizeEntry(entry) {
+        const { id, dwell, weight, params, animationParams, seed } = typeof entry === 'string' ? { id: entry } : entry;
+        return {
+            id,
+            dwell: dwell > 0 ? dwell : this.options.dwell,
+            weight: weight >= 0 ? weight : 1,
+            params: params || {},
+            animationParams: animationParams || {},
+            seed: Number.isInteger(seed) ? seed : null
+        };
+    }
+
+    /**
+     * Change the selection mode
+     * @param {string} mode - 'ordered', 'shuffle' or 'weighted'
+     */
+    setMode(mode) {
+        if (!['ordered', 'shuffle', 'weighted'].includes(mode)) {
+            console.warn(`Unsupported playlist mode: ${mode}`);
+            return;
+        }
+        const current = this.current();
+        this.options.mode = mode;
+        this.history = [];
+        this.buildOrder();
+        if (current) this.seek(current.id);
+    }
+
+    /**
+     * Build the play order for the current mode
+     */
+    buildOrder() {
+        const last = this.order[this.order.length - 1];
+        this.order = this.entries.map((entry, index) => index);
+
+        if (this.options.mode === 'shuffle') {
+            // Fisher-Yates, then avoid repeating the entry that just played
+            for (let i = this.order.length - 1; i > 0; i--) {
+                const j = Math.floor(this.options.random() * (i + 1));
+                [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+            }
+            if (this.order.length > 1 && this.order[0] === last) {
+                [this.order[0], this.order[1]] = [this.order[1], this.order[0]];
+            }
+        }
+    }
+
+    /**
+     * Get the play position, for restoring it later
+     * @returns {Object} Play order, position and history
+     */
+    getState() {
+        return { order: [...this.order], position: this.position, history: [...this.history] };
+    }
+
+    /**
+     * Return to a play position saved with getState
+     * @param {Object} state - Play order, position and history
+     */
+    setState(state) {
+        this.order = [...state.order];
+        this.position = state.position;
+        this.history = [...state.history];
+    }
+
+    /**
+     * Number of entries
+     * @returns {number} Entry count
+     */
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Get the entry that is playing
+     * @returns {Object|null} Current entry
+     */
+    current() {
+        return this.entries[this.order[this.position]] || null;
+    }
+
+    /**
+     * Move to the entry for an animation, if the playlist has one
+     * @param {string} id - Animation identifier
+     * @returns {boolean} True if the entry was found
+     */
+    seek(id) {
+        const position = this.order.findIndex(index => this.entries[index].id === id);
+        if (position === -1) return false;
+        this.position = position;
+        return true;
+    }
+
+    /**
+     * Advance to the next entry
+     * @returns {Object|null} The new current entry
+     */
+    next() {
+        if (this.entries.length === 0) return null;
+
+        this.history.push(this.order[this.position]);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+
+        if (this.options.mode === 'weighted') {
+            this.position = this.pickWeighted();
+        } else if (this.position + 1 < this.order.length) {
+            this.position++;
+        } else {
+            if (this.options.mode === 'shuffle') this.buildOrder();
+            this.position = 0;
+        }
+
+        return this.current();
+    }
+
+    /**
+     * Go back to the previous entry
+     * @returns {Object|null} The new current entry
+     */
+    previous() {
+        if (this.entries.length === 0) return null;
+
+        if (this.history.length > 0) {
+            this.position = this.order.indexOf(this.history.pop());
+        } else {
+            this.position = (this.position - 1 + this.order.length) % this.order.length;
+        }
+
+        return this.current();
+    }
+
+    /**
+     * Pick a position at random in proportion to entry weights, avoiding the current entry
+     * @returns {number} Position in this.order
+     */
+    pickWeighted() {
+        const candidates = this.order
+            .map((index, position) => ({ position, weight: this.entries[index].weight }))
+            .filter(candidate => candidate.weight > 0 &&
+                (candidate.position !== this.position || this.entries.length === 1));
+
+        const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+        if (total === 0) return this.position;
+
+        let pick = this.options.random() * total;
+        for (const candidate of candidates) {
+            pick -= candidate.weight;
+            if (pick < 0) return candidate.position;
+        }
+        return candidates[candidates.length - 1].position;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Canvas Renderer - Draws the character grid onto a 2D canvas
+ */
+
+/**
+ * Default options for the canvas backend
+ */
+const defaultCanvasOptions = {
+    fontFamily: null, // Falls back to the container's computed font family
+    fontSize: null, // Falls back to the container's computed font size (px)
+    cellWidth: null, // Falls back to the measured width of a glyph
+    cellHeight: null, // Falls back to the font size (matches line-height: 1)
+    devicePixelRatio: null, // Falls back to window.devicePixelRatio
+    glow: 0 // Shadow blur in CSS pixels, 0 disables the glow (costly on large grids; 5 matches the page's text-shadow)
+};
+
+export class CanvasRenderer {
+    /**
+     * Create a canvas renderer
+     * @param {HTMLElement} container - Container element the canvas is placed in
+     * @param {Object} options - Font, cell size and pixel ratio options
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...defaultCanvasOptions, ...options };
+        this.canvas = null;
+        this.context = null;
+
+        // Resolved metrics, recalculated when options or grid size change
+        this.metrics = null;
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+    }
+
+    /**
+     * Set the container element
+     * @param {HTMLElement} container - New container element
+     */
+    setContainer(container) {
+        this.container = container;
+        this.canvas = null;
+        this.context = null;
+        this.metrics = null;
+    }
+
+    /**
+     * Update renderer options
+     * @param {Object} options - Options to merge with the current ones
+     */
+    setOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+        this.metrics = null;
+    }
+
+    /**
+     * Make sure the canvas exists and is attached to the container
+     */
+    ensureCanvas() {
+        if (this.canvas && this.canvas.parentNode === this.container) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'ascii-canvas';
+        this.canvas.style.display = 'block';
+        this.context = this.canvas.getContext('2d');
+
+        // The canvas replaces any HTML output in the container
+        this.container.innerHTML = '';
+        this.container.appendChild(this.canvas);
+        this.metrics = null;
+    }
+
+    /**
+     * Resolve font and cell metrics from options and the container's style
+     * @returns {Object} Resolved metrics
+     */
+    resolveMetrics() {
+        const style = window.getComputedStyle(this.container);
+        const fontSize = this.options.fontSize || parseFloat(style.fontSize) || 12;
+        const fontFamily = this.options.fontFamily || style.fontFamily || 'monospace';
+        const font = `${fontSize}px ${fontFamily}`;
+        const pixelRatio = this.options.devicePixelRatio || window.devicePixelRatio || 1;
+
+        this.context.font = font;
+        const cellWidth = this.options.cellWidth || this.context.measureText('M').width;
+        const cellHeight = this.options.cellHeight || fontSize;
+
+        return { font, fontSize, cellWidth, cellHeight, pixelRatio };
+    }
+
+    /**
+     * Size the canvas for the grid at the current pixel ratio
+     * @param {CharacterGrid} grid - The grid to size for
+     */
+    resizeCanvas(grid) {
+        const { cellWidth, cellHeight, pixelRatio } = this.metrics;
+        const cssWidth = Math.ceil(grid.width * cellWidth);
+        const cssHeight = Math.ceil(grid.height * cellHeight);
+
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = Math.ceil(cssWidth * pixelRatio);
+        this.canvas.height = Math.ceil(cssHeight * pixelRatio);
+
+        this.gridWidth = grid.width;
+        this.gridHeight = grid.height;
+    }
+
+    /**
+     * Render the grid to the canvas
+     * @param {CharacterGrid} grid - The grid to render
+     */
+    render(grid) {
+        this.ensureCanvas();
+
+        if (!this.metrics) {
+            this.metrics = this.resolveMetrics();
+            this.gridWidth = 0;
+        }
+        if (grid.width !== this.gridWidth || grid.height !== this.gridHeight) {
+            this.resizeCanvas(grid);
+        }
+
+        const ctx = this.context;
+        const { font, cellWidth, cellHeight, pixelRatio } = this.metrics;
+
+        // Setting the size resets the context state, so configure it every frame
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, grid.width * cellWidth, grid.height * cellHeight);
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowBlur = this.options.glow * pixelRatio;
+        ctx.shadowColor = 'rgba(255, 255, 255, 0.7)';
+
+        let currentColor = null;
+
+        for (let y = 0; y < grid.height; y++) {
+            const centerY = y * cellHeight + cellHeight / 2;
+
+            for (let x = 0; x < grid.width; x++) {
+                const cell = grid.getCell(x, y);
+                if (!cell || cell.character === ' ') continue;
+
+                // Only touch fillStyle when the color actually changes
+                const color = `hsl(${cell.hue}, ${cell.saturation}%, ${cell.lightness}%)`;
+                if (color !== currentColor) {
+                    ctx.fillStyle = color;
+                    currentColor = color;
+                }
+
+                ctx.fillText(cell.character, x * cellWidth + cellWidth / 2, centerY);
+            }
+        }
+    }
+}
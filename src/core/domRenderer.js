@@ -0,0 +1,173 @@
+/**
+ * DOM Renderer - Incremental HTML renderer that only updates changed cells
+ */
+
+export class DomRenderer {
+    /**
+     * Create an incremental DOM renderer
+     * @param {HTMLElement} container - Container element to render into
+     */
+    constructor(container) {
+        this.container = container;
+
+        // Persistent row state: { element, key, runs: [{ node, start, text, color }] }
+        this.rows = [];
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+    }
+
+    /**
+     * Set the container element
+     * @param {HTMLElement} container - New container element
+     */
+    setContainer(container) {
+        this.container = container;
+        this.reset();
+    }
+
+    /**
+     * Drop all persistent nodes so the next frame rebuilds from scratch
+     */
+    reset() {
+        this.rows = [];
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+    }
+
+    /**
+     * Make sure row nodes exist for the grid and are attached to the container
+     * @param {CharacterGrid} grid - The grid to render
+     */
+    ensureRows(grid) {
+        const attached = this.rows.length > 0 && this.rows[0].element.parentNode === this.container;
+        if (attached && grid.width === this.gridWidth && grid.height === this.gridHeight) return;
+
+        // Another render path replaced our nodes or the grid changed size
+        this.container.innerHTML = '';
+        this.rows = [];
+
+        for (let y = 0; y < grid.height; y++) {
+            const element = document.createElement('div');
+            element.className = 'ascii-row';
+            this.container.appendChild(element);
+            this.rows.push({ element, key: null, runs: [] });
+        }
+
+        this.gridWidth = grid.width;
+        this.gridHeight = grid.height;
+    }
+
+    /**
+     * Split a grid row into runs of same-colored characters
+     * @param {CharacterGrid} grid - The grid
+     * @param {number} y - Row index
+     * @returns {Array} Runs of { start, text, color }: start is the first column, color is '' for blank runs
+     */
+    buildRuns(grid, y) {
+        const runs = [];
+        let current = null;
+
+        for (let x = 0; x < grid.width; x++) {
+            const cell = grid.getCell(x, y);
+            if (!cell) continue;
+
+            // Blank cells take no color so they merge with any neighbouring blanks
+            const color = cell.character === ' '
+                ? ''
+                : `hsl(${cell.hue}, ${cell.saturation}%, ${cell.lightness}%)`;
+
+            if (current && current.color === color) {
+                current.text += cell.character;
+            } else {
+                current = { start: x, text: cell.character, color };
+                runs.push(current);
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Create the span node for a run
+     * @param {Object} run - Run of { start, text, color }
+     * @returns {Object} Run with its node
+     */
+    createRun(run) {
+        const node = document.createElement('span');
+        node.textContent = run.text;
+        node.style.color = run.color;
+        return { node, ...run };
+    }
+
+    /**
+     * Patch a row's span nodes to match the new runs
+     * Spans are matched to runs by the column they start at, so a run inserted or removed
+     * mid-row leaves the spans after it alone. When most runs changed anyway, the row is
+     * rebuilt in one go instead.
+     * @param {Object} row - Persistent row state
+     * @param {Array} runs - Desired runs for this frame
+     */
+    patchRow(row, runs) {
+        const previous = new Map(row.runs.map(run => [run.start, run]));
+        const changed = runs.filter(run => {
+            const existing = previous.get(run.start);
+            return !existing || existing.text !== run.text || existing.color !== run.color;
+        }).length;
+
+        if (changed > runs.length / 2) {
+            row.element.textContent = '';
+            row.runs = runs.map(run => this.createRun(run));
+            row.runs.forEach(run => row.element.appendChild(run.node));
+            return;
+        }
+
+        const next = runs.map(run => {
+            const existing = previous.get(run.start);
+            if (!existing) return this.createRun(run);
+
+            previous.delete(run.start);
+            if (existing.text !== run.text) {
+                existing.node.textContent = run.text;
+                existing.text = run.text;
+            }
+            if (existing.color !== run.color) {
+                existing.node.style.color = run.color;
+                existing.color = run.color;
+            }
+            return existing;
+        });
+
+        // Remove spans whose column no longer starts a run
+        previous.forEach(stale => row.element.removeChild(stale.node));
+
+        // Kept spans are already in column order; slot the new ones in between them
+        let following = null;
+        for (let i = next.length - 1; i >= 0; i--) {
+            if (next[i].node.parentNode !== row.element) {
+                row.element.insertBefore(next[i].node, following);
+            }
+            following = next[i].node;
+        }
+        row.runs = next;
+    }
+
+    /**
+     * Render the grid, touching only the rows and spans that changed
+     * @param {CharacterGrid} grid - The grid to render
+     */
+    render(grid) {
+        this.ensureRows(grid);
+
+        for (let y = 0; y < grid.height; y++) {
+            const row = this.rows[y];
+            const runs = this.buildRuns(grid, y);
+
+            // Skip rows whose content is identical to the last frame
+            const key = runs.map(run => `${run.color}|${run.text}`).join('\u0000');
+            if (key === row.key) continue;
+
+            this.patchRow(row, runs);
+            row.key = key;
+        }
+    }
+}
@@ -3,84 +3,494 @@
  */
 import { CharacterGrid } from './grid.js';
 import { Renderer } from './renderer.js';
-import { defaultConfig, getAllCharacters } from '../config/defaults.js';
+import { defaultConfig, characterSets } from '../config/defaults.js';
+import { validateConfig } from '../config/schema.js';
 import { ColorManager } from '../utils/colorManager.js';
 import { AutomationManager } from './automation/automationManager.js';
+import { Playlist } from './automation/playlist.js';
+import { exportGrid, downloadFrame } from './frameExport.js';
+import { createRandom, generateSeed } from '../utils/math.js';
+import { createLifecycle } from './animationLifecycle.js';
+import { getParamDefaults, normalizeParamValue } from './animationParams.js';
+import { blendGrids, createTransitionNoise, resolveTransitionStyle } from './transitions.js';
+import { quantizeGrid } from './quantize.js';
+import { FlashLimiter, applyMotionLimits } from './accessibility.js';
+import { PresetManager, presetToPlaylistEntry } from '../config/presets.js';
+import { EventEmitter } from './eventEmitter.js';
+import { CharacterRamps } from '../utils/characterRamps.js';
 
-export class AsciiEngine {
+// Time scales the slow motion and fast forward keys step through
+const TIME_SCALE_STEPS = [0.1, 0.25, 0.5, 1, 1.5, 2, 4];
+
+// Seconds of simulation between seek snapshots; scrubbing back replays at most this much
+const SNAPSHOT_INTERVAL = 1;
+
+// Seek snapshots kept; scrubbing back further than they reach stops at the oldest
+const MAX_SNAPSHOTS = 30;
+
+/**
+ * Config values the run itself changes (automation drift, playlist entries and presets),
+ * saved with each seek snapshot
+ */
+const simulationKeys = [
+    'animationType', 'seed', 'speed', 'density', 'colorMode', 'baseHue', 'targetHue', 'hueTransitionSpeed',
+    'palette', 'targetPalette', 'paletteMix', 'paletteProgress', 'nextTransitionTime', 'transitionProgress',
+    'targetSpeed', 'targetDensity', 'targetColorMode'
+];
+
+/**
+ * Events emitted by the engine, with the detail passed to listeners
+ */
+export const engineEvents = [
+    'configchange', // { keys, config } - updateConfig changed the listed keys
+    'modechange', // { isAutomated } - automated mode was switched on or off
+    'animationchange', // { id, index, previousId } - setAnimation switched to (or restarted) an animation
+    'transitionstart', // { from, to, style, duration } - a crossfade started
+    'transitionend', // { from, to } - a crossfade finished or was cut short
+    'playbackchange', // { isPaused, timeScale, fixedTimestep, time } - see getPlaybackState
+    'frame' // { time, grid } - a frame was rendered
+];
+
+export class AsciiEngine extends EventEmitter {
     /**
      * Create a new AsciiDelic animation engine
      * @param {HTMLElement} container - Container element for rendering
      * @param {Object} config - Configuration options
+     * @param {Object} options - Engine options
+     * @param {Object} options.renderer - Custom renderer with a render(grid) method (e.g. AnsiRenderer)
      */
-    constructor(container, config = {}) {
+    constructor(container, config = {}, options = {}) {
+        super(engineEvents);
+        
         // Merge provided config with defaults
-        this.config = { ...defaultConfig, ...config };
+        this.config = { ...defaultConfig, ...validateConfig(config) };
         
         // Setup core components
         this.grid = new CharacterGrid(this.config.width, this.config.height);
-        this.renderer = new Renderer(container);
+        this.displayGrid = null; // Grid with display adjustments, see getDisplayGrid
+        this.lastFrame = null; // Grid last handed to the renderer
+        this.flashLimiter = new FlashLimiter();
+        this.renderer = options.renderer || new Renderer(container);
         this.colorManager = new ColorManager(this.config);
-        this.automationManager = new AutomationManager(this.config, this.updateConfig.bind(this));
+        
+        // Character ramps, ordered by ink in the display font
+        this.characters = new CharacterRamps(characterSets);
+        this.characters.updateConfig(this.config);
+        this.measureCharacters();
+        
+        // Seeded generator for everything the simulation draws: it is handed to the animations,
+        // automation, playlists and transitions, and only ever reseeded in place (see setSeed)
+        this.random = createRandom(0);
+        this.automationManager = new AutomationManager(
+            this.config,
+            this.updateConfig.bind(this),
+            this.playPlaylistEntry.bind(this),
+            this.random
+        );
         
         // Animation state
         this.time = 0;
         this.lastTime = Date.now();
         this.isRunning = false;
+        this.isPaused = false;
+        this.accumulator = 0; // Unsimulated time carried over in fixed timestep mode
         this.animationId = null;
         this.currentAnimation = null;
-        
-        // Available characters
-        this.characters = getAllCharacters();
+        this.animationState = null; // Per-instance state owned by the current animation
+        this.transition = null; // Crossfade from the previous animation, while one is running
+        this.snapshots = []; // Recent simulation states to seek back to, oldest first
+        this.setSeed(this.config.seed ?? generateSeed());
         
         // Registered animations
         this.animations = new Map();
+        this.animationParams = new Map(); // Parameter values per animation id
+        
+        // Built-in and user presets
+        this.presets = new PresetManager();
     }
 
     /**
      * Update configuration
+     * Changes are validated against configSchema: unknown keys and values of the wrong type
+     * are dropped with a warning, and numbers are clamped to their ranges.
+     * Emits configchange with the keys that changed, and modechange when isAutomatedMode changed.
      * @param {Object} newConfig - New configuration options
+     * @returns {Array} Keys whose values changed
      */
     updateConfig(newConfig) {
         const oldConfig = this.config;
-        this.config = { ...this.config, ...newConfig };
+        const changes = validateConfig(newConfig);
+        const changedKeys = Object.keys(changes).filter(key => changes[key] !== oldConfig[key]);
+        this.config = { ...this.config, ...changes };
         
         // Handle dimension changes
         if (this.config.width !== oldConfig.width || this.config.height !== oldConfig.height) {
-            this.grid.resize(this.config.width, this.config.height);
+            this.resizeAnimations(this.config.width, this.config.height);
         }
         
-        // Update color manager with new config
+        // Update color manager and character ramps with new config
         this.colorManager.updateConfig(this.config);
+        this.characters.updateConfig(this.config, changedKeys);
         
         // Update automation manager's config reference
         this.automationManager.setConfig(this.config);
+        
+        if (changedKeys.length > 0) {
+            this.emit('configchange', { keys: changedKeys, config: this.config });
+        }
+        if (changedKeys.includes('isAutomatedMode')) {
+            this.emit('modechange', { isAutomated: this.config.isAutomatedMode });
+        }
+        return changedKeys;
+    }
+
+    /**
+     * Seed the random generator; a fresh engine with the same seed and the same
+     * sequence of delta times produces exactly the same frames
+     * @param {number} seed - 32-bit integer seed
+     */
+    setSeed(seed) {
+        this.updateConfig({ seed: seed >>> 0 });
+        this.random.setState(this.config.seed);
+    }
+
+    /**
+     * Sort the character ramps by how much ink each glyph has in a font
+     * Call again once a web font has loaded or the display font changed.
+     * @param {string} fontFamily - CSS font family, defaults to the container's
+     * @param {Function} createCanvas - Optional canvas factory (width, height) => canvas, e.g. in Node
+     * @returns {boolean} True if the glyphs could be measured (ramps keep their listed order otherwise)
+     */
+    measureCharacters(fontFamily, createCanvas) {
+        const { container } = this.renderer;
+        if (!fontFamily) {
+            fontFamily = container && typeof getComputedStyle === 'function'
+                ? getComputedStyle(container).fontFamily || 'monospace'
+                : 'monospace';
+        }
+        return this.characters.measure(fontFamily, createCanvas);
     }
 
     /**
      * Register an animation
      * @param {string} id - Animation identifier
-     * @param {Function} animationFn - Animation function
-     * @param {Object} metadata - Animation metadata
+     * @param {Function|Object} animation - Animation function, or animation object with lifecycle hooks (see animationLifecycle.js)
+     * @param {Object} metadata - Animation metadata (name, description, params schema)
      */
-    registerAnimation(id, animationFn, metadata = {}) {
+    registerAnimation(id, animation, metadata = {}) {
+        const lifecycle = createLifecycle(animation);
+        if (!lifecycle) {
+            console.warn(`Animation '${id}' must be a function or an object with an update hook`);
+            return;
+        }
+        
         this.animations.set(id, {
             id,
-            fn: animationFn,
-            ...metadata
+            fn: animation,
+            lifecycle,
+            ...metadata,
+            params: metadata.params || {}
         });
+        this.animationParams.set(id, getParamDefaults(metadata.params));
+    }
+
+    /**
+     * Get the parameter schema of an animation
+     * @param {string} id - Animation identifier (defaults to the current animation)
+     * @returns {Object} Parameter schema
+     */
+    getAnimationParamSchema(id = this.currentAnimation && this.currentAnimation.id) {
+        const animation = this.animations.get(id);
+        return animation ? animation.params : {};
+    }
+
+    /**
+     * Get the parameter values of an animation
+     * @param {string} id - Animation identifier (defaults to the current animation)
+     * @returns {Object} Parameter values
+     */
+    getAnimationParams(id = this.currentAnimation && this.currentAnimation.id) {
+        return this.animationParams.get(id) || {};
+    }
+
+    /**
+     * Set an animation parameter, clamped to its schema
+     * @param {string} name - Parameter name
+     * @param {number} value - New value
+     * @param {string} id - Animation identifier (defaults to the current animation)
+     * @returns {number|undefined} The value that was stored
+     */
+    setAnimationParam(name, value, id = this.currentAnimation && this.currentAnimation.id) {
+        const spec = this.getAnimationParamSchema(id)[name];
+        if (!spec) {
+            console.warn(`Animation '${id}' has no parameter '${name}'`);
+            return undefined;
+        }
+        
+        const normalized = normalizeParamValue(spec, value);
+        this.animationParams.get(id)[name] = normalized;
+        return normalized;
+    }
+
+    /**
+     * Restore an animation's parameters to their defaults
+     * @param {string} id - Animation identifier (defaults to the current animation)
+     */
+    resetAnimationParams(id = this.currentAnimation && this.currentAnimation.id) {
+        if (this.animations.has(id)) {
+            this.animationParams.set(id, getParamDefaults(this.getAnimationParamSchema(id)));
+        }
     }
 
     /**
      * Set the current animation
+     * Crossfades from the previous animation over config.crossfadeDuration seconds,
+     * or cuts instantly (disposing the previous animation's state) when that is 0.
      * @param {string} id - Animation identifier
+     * @param {Object} options - Switch options
+     * @param {boolean} options.transition - Set to false to cut instantly
      */
-    setAnimation(id) {
-        if (this.animations.has(id)) {
-            this.currentAnimation = this.animations.get(id);
-        } else {
+    setAnimation(id, options = {}) {
+        if (!this.animations.has(id)) {
             console.warn(`Animation '${id}' not found`);
+            return;
+        }
+        
+        const previous = this.currentAnimation;
+        const next = this.animations.get(id);
+        this.updateConfig({ animationType: Array.from(this.animations.keys()).indexOf(id) });
+        const duration = options.transition === false ? 0 : this.config.crossfadeDuration;
+        
+        if (previous && duration > 0) {
+            this.startTransition(next, duration);
+        } else {
+            this.endTransition();
+            if (previous) {
+                previous.lifecycle.dispose(this.animationState);
+            }
+            
+            this.currentAnimation = next;
+            this.animationState = this.currentAnimation.lifecycle.init(this.grid, this.config, this.random);
+        }
+        
+        this.emit('animationchange', {
+            id,
+            index: this.config.animationType,
+            previousId: previous ? previous.id : null
+        });
+    }
+
+    /**
+     * Start crossfading from the current animation to another one
+     * Both animations keep running into their own grids, and this.grid receives the blend.
+     * @param {Object} next - Registered animation to switch to
+     * @param {number} duration - Transition length in seconds
+     */
+    startTransition(next, duration) {
+        const { width, height } = this.config;
+        let currentGrid = this.grid;
+        
+        if (this.transition) {
+            // Switching again mid-transition drops the animation that was fading out
+            const { from } = this.transition;
+            from.animation.lifecycle.dispose(from.state);
+            currentGrid = this.transition.toGrid;
+        } else {
+            this.grid = new CharacterGrid(width, height);
+        }
+        
+        const toGrid = new CharacterGrid(width, height);
+        this.transition = {
+            from: { animation: this.currentAnimation, state: this.animationState, grid: currentGrid },
+            toGrid,
+            style: this.config.reducedMotion ? 'dissolve' : resolveTransitionStyle(this.config.crossfadeStyle, this.random),
+            duration,
+            elapsed: 0,
+            noise: createTransitionNoise(width, height, this.random)
+        };
+        
+        this.currentAnimation = next;
+        this.animationState = next.lifecycle.init(toGrid, this.config, this.random);
+        blendGrids(this.transition.style, currentGrid, toGrid, this.grid, 0, this.transition.noise);
+        
+        this.emit('transitionstart', {
+            from: this.transition.from.animation.id,
+            to: next.id,
+            style: this.transition.style,
+            duration
+        });
+    }
+
+    /**
+     * Finish a running transition: dispose the outgoing animation and hand the
+     * incoming animation's grid back to the engine
+     */
+    endTransition() {
+        if (!this.transition) return;
+        
+        const { from, toGrid } = this.transition;
+        from.animation.lifecycle.dispose(from.state);
+        this.grid = toGrid;
+        this.transition = null;
+        
+        this.emit('transitionend', { from: from.animation.id, to: this.currentAnimation.id });
+    }
+
+    /**
+     * Run both animations of a transition and blend their grids
+     * @param {Array} args - time, deltaTime, config, characters and colorManager for the animations
+     */
+    updateTransition(args) {
+        const transition = this.transition;
+        const { from } = transition;
+        from.animation.lifecycle.update(from.state, from.grid, ...args, this.getAnimationParams(from.animation.id), this.random);
+        this.currentAnimation.lifecycle.update(this.animationState, transition.toGrid, ...args, this.getAnimationParams(), this.random);
+        
+        transition.elapsed += args[1];
+        const progress = Math.min(1, transition.elapsed / transition.duration);
+        if (progress >= 1) {
+            this.endTransition();
+        } else {
+            blendGrids(transition.style, from.grid, transition.toGrid, this.grid, progress, transition.noise);
+        }
+    }
+
+    /**
+     * Resize the grids and tell the animations about it
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resizeAnimations(width, height) {
+        this.grid.resize(width, height);
+        this.snapshots = []; // Saved states have the old size
+        
+        if (this.transition) {
+            const { from, toGrid } = this.transition;
+            from.grid.resize(width, height);
+            toGrid.resize(width, height);
+            this.transition.noise = createTransitionNoise(width, height, this.random);
+            from.state = from.animation.lifecycle.resize(from.state, width, height, from.grid, this.config, this.random);
+        }
+        
+        if (this.currentAnimation) {
+            const grid = this.transition ? this.transition.toGrid : this.grid;
+            this.animationState = this.currentAnimation.lifecycle.resize(this.animationState, width, height, grid, this.config, this.random);
+        }
+    }
+
+    /**
+     * Set the playlist automated mode cycles through
+     * @param {Array} entries - Animation ids, entries of { id, dwell, weight, params }, or preset entries of { preset, dwell, weight }
+     * @param {Object} options - Playlist options (mode, dwell), defaulting to config.playlistMode and config.playlistDwell
+     * @returns {Playlist} The new playlist
+     */
+    setPlaylist(entries, options = {}) {
+        const known = entries.map(entry => this.resolvePresetEntry(entry)).filter(entry => {
+            if (!entry) return false;
+            const id = typeof entry === 'string' ? entry : entry.id;
+            if (!this.animations.has(id)) {
+                console.warn(`Playlist animation '${id}' not found, skipping`);
+                return false;
+            }
+            return true;
+        });
+        
+        const playlist = new Playlist(known, {
+            mode: this.config.playlistMode,
+            dwell: this.config.playlistDwell,
+            ...options,
+            random: this.random
+        });
+        if (this.currentAnimation) {
+            playlist.seek(this.currentAnimation.id);
+        }
+        
+        this.automationManager.setPlaylist(playlist);
+        return playlist;
+    }
+
+    /**
+     * Expand a { preset } playlist entry into the preset's animation, settings and seed
+     * @param {string|Object} entry - Playlist entry
+     * @returns {string|Object|null} Playlist entry, or null if the preset does not exist
+     */
+    resolvePresetEntry(entry) {
+        if (typeof entry !== 'object' || !entry.preset) return entry;
+        
+        const { preset: id, ...overrides } = entry;
+        const preset = this.presets.get(id);
+        if (!preset) {
+            console.warn(`Playlist preset '${id}' not found, skipping`);
+            return null;
         }
+        return presetToPlaylistEntry(preset, overrides);
+    }
+
+    /**
+     * Get the active playlist, creating it from config.playlist (or every registered animation) on first use
+     * @returns {Playlist} The playlist
+     */
+    getPlaylist() {
+        return this.automationManager.playlist ||
+            this.setPlaylist(this.config.playlist || Array.from(this.animations.keys()));
+    }
+
+    /**
+     * Switch to a playlist entry's animation, with its seed and animation parameters
+     * @param {Object} entry - Playlist entry
+     */
+    playPlaylistEntry(entry) {
+        if (entry.seed !== null && entry.seed !== undefined) {
+            this.setSeed(entry.seed);
+        }
+        Object.entries(entry.animationParams || {}).forEach(([name, value]) => {
+            this.setAnimationParam(name, value, entry.id);
+        });
+        this.setAnimation(entry.id);
+    }
+
+    /**
+     * Switch to a preset's animation, settings, seed and animation parameters
+     * @param {string} id - Preset id
+     * @returns {boolean} True if the preset was applied
+     */
+    applyPreset(id) {
+        const preset = this.presets.get(id);
+        if (!preset || !this.animations.has(preset.animation)) {
+            console.warn(`Preset '${id}' not found or its animation is not registered`);
+            return false;
+        }
+        
+        const entry = presetToPlaylistEntry(preset);
+        this.updateConfig(entry.params);
+        this.playPlaylistEntry(entry);
+        return true;
+    }
+
+    /**
+     * Skip to the next playlist entry
+     */
+    nextInPlaylist() {
+        this.getPlaylist();
+        this.automationManager.advancePlaylist(1, this.time);
+    }
+
+    /**
+     * Go back to the previous playlist entry
+     */
+    previousInPlaylist() {
+        this.getPlaylist();
+        this.automationManager.advancePlaylist(-1, this.time);
+    }
+
+    /**
+     * Start the current animation's simulation over without touching the clock
+     */
+    resetAnimation() {
+        if (!this.currentAnimation) return;
+        
+        const grid = this.transition ? this.transition.toGrid : this.grid;
+        this.animationState = this.currentAnimation.lifecycle.reset(this.animationState, grid, this.config, this.random);
     }
 
     /**
@@ -103,6 +513,13 @@ export class AsciiEngine {
         
         this.isRunning = true;
         this.lastTime = Date.now();
+        
+        // Switch between animation frames and low-power timers as the tab is hidden or shown
+        if (typeof document !== 'undefined' && !this.visibilityHandler) {
+            this.visibilityHandler = () => this.rescheduleFrame();
+            document.addEventListener('visibilitychange', this.visibilityHandler);
+        }
+        
         this.animationLoop();
     }
 
@@ -112,9 +529,69 @@ export class AsciiEngine {
     stop() {
         this.isRunning = false;
         if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+            this.cancelFrame(this.animationId);
             this.animationId = null;
         }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+    }
+
+    /**
+     * Whether the engine should run at the low-power frame rate
+     * @returns {boolean} True when forced or when the page is hidden
+     */
+    isLowPower() {
+        if (this.config.lowPowerMode) return true;
+        return this.config.lowPowerWhenHidden &&
+            typeof document !== 'undefined' && document.hidden === true;
+    }
+
+    /**
+     * Get the frame rate the loop currently aims for
+     * @returns {number} Target frames per second
+     */
+    getTargetFps() {
+        const fps = this.isLowPower() ? this.config.lowPowerFps : this.config.animationSpeed;
+        return Math.max(1, fps);
+    }
+
+    /**
+     * Schedule the next frame
+     * Uses requestAnimationFrame while visible, and a timer at the target rate
+     * in low-power mode (browsers suspend animation frames in hidden tabs) or outside the browser.
+     * @param {Function} callback - Frame callback
+     * @returns {Object} Handle for cancelFrame
+     */
+    scheduleFrame(callback) {
+        if (typeof requestAnimationFrame === 'function' && !this.isLowPower()) {
+            return { timer: false, id: requestAnimationFrame(callback) };
+        }
+        return { timer: true, id: setTimeout(callback, 1000 / this.getTargetFps()) };
+    }
+
+    /**
+     * Cancel a frame scheduled with scheduleFrame
+     * @param {Object} handle - Handle returned by scheduleFrame
+     */
+    cancelFrame(handle) {
+        if (handle.timer) {
+            clearTimeout(handle.id);
+        } else {
+            cancelAnimationFrame(handle.id);
+        }
+    }
+
+    /**
+     * Replace the pending frame using the current scheduling mode
+     */
+    rescheduleFrame() {
+        if (!this.isRunning) return;
+        if (this.animationId) {
+            this.cancelFrame(this.animationId);
+        }
+        this.animationId = this.scheduleFrame(() => this.animationLoop());
     }
 
     /**
@@ -124,15 +601,238 @@ export class AsciiEngine {
         if (!this.isRunning) return;
         
         const now = Date.now();
-        const delta = Math.min(now - this.lastTime, 100); // Cap at 100ms to prevent huge jumps
+        const elapsed = now - this.lastTime;
+        const frameInterval = 1000 / this.getTargetFps();
+        
+        // Skip frames that arrive sooner than the target frame rate allows (1ms jitter tolerance)
+        if (elapsed < frameInterval - 1) {
+            this.animationId = this.scheduleFrame(() => this.animationLoop());
+            return;
+        }
+        
+        // Cap to prevent huge jumps, but never below two frames so low frame rates keep real-time speed
+        const delta = Math.min(elapsed, Math.max(100, frameInterval * 2));
         this.lastTime = now;
         
-        this.time += delta * 0.001; // Convert to seconds
+        if (!this.isPaused) {
+            this.tick(delta * 0.001 * this.config.timeScale); // Convert to seconds
+        }
+        this.render(delta * 0.001);
         
-        this.update(delta * 0.001);
+        this.animationId = this.scheduleFrame(() => this.animationLoop());
+    }
+
+    /**
+     * Simulate elapsed wall-clock time, in fixed steps when fixedTimestep is set
+     * @param {number} elapsed - Elapsed (scaled) time in seconds
+     */
+    tick(elapsed) {
+        const fixedStep = this.config.fixedTimestep;
+        if (!fixedStep) {
+            this.advance(elapsed);
+            return;
+        }
+        
+        this.accumulator += elapsed;
+        let steps = 0;
+        while (this.accumulator >= fixedStep && steps < this.config.maxSubSteps) {
+            this.advance(fixedStep);
+            this.accumulator -= fixedStep;
+            steps++;
+        }
+        
+        // Drop time we could not catch up on instead of spiralling further behind
+        if (steps === this.config.maxSubSteps) {
+            this.accumulator = 0;
+        }
+    }
+
+    /**
+     * Get the size of one simulation step
+     * @returns {number} Step size in seconds
+     */
+    getStepSize() {
+        return this.config.fixedTimestep || 1 / 60;
+    }
+
+    /**
+     * Pause the simulation (rendering continues)
+     */
+    pause() {
+        this.isPaused = true;
+        this.emit('playbackchange', this.getPlaybackState());
+    }
+
+    /**
+     * Resume the simulation
+     */
+    resume() {
+        this.isPaused = false;
+        this.accumulator = 0;
+        this.lastTime = Date.now();
+        this.emit('playbackchange', this.getPlaybackState());
+    }
+
+    /**
+     * Toggle pause
+     * @returns {boolean} Whether the engine is now paused
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.isPaused;
+    }
+
+    /**
+     * Advance the simulation by a number of steps, regardless of pause or time scale
+     * @param {number} count - Number of steps
+     */
+    step(count = 1) {
+        const stepSize = this.getStepSize();
+        for (let i = 0; i < count; i++) {
+            this.advance(stepSize);
+        }
         this.render();
+        this.emit('playbackchange', this.getPlaybackState());
+    }
+
+    /**
+     * Jump the simulation to a point in time
+     * Going backwards restores the latest snapshot before the target and re-simulates from there.
+     * Snapshots reach back MAX_SNAPSHOTS * SNAPSHOT_INTERVAL seconds; an earlier target stops at the oldest.
+     * @param {number} targetTime - Target time in seconds
+     */
+    seek(targetTime) {
+        const target = Math.max(0, targetTime);
+        const stepSize = this.getStepSize();
         
-        this.animationId = requestAnimationFrame(() => this.animationLoop());
+        if (target < this.time && this.snapshots.length > 0) {
+            const earlier = this.snapshots.filter(snapshot => snapshot.time <= target);
+            this.restoreSnapshot(earlier.length > 0 ? earlier[earlier.length - 1] : this.snapshots[0]);
+        }
+        while (this.time + stepSize <= target) {
+            this.advance(stepSize);
+        }
+        this.render();
+        this.emit('playbackchange', this.getPlaybackState());
+    }
+
+    /**
+     * Save the simulation state for seek, once every SNAPSHOT_INTERVAL seconds
+     * Crossfades are not saved; the snapshot waits until the transition is over.
+     */
+    takeSnapshotIfDue() {
+        if (!this.currentAnimation || this.transition) return;
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && this.time < last.time + SNAPSHOT_INTERVAL) return;
+        
+        const config = {};
+        simulationKeys.forEach(key => {
+            config[key] = this.config[key];
+        });
+        this.snapshots.push({
+            time: this.time,
+            config,
+            randomState: this.random.getState(),
+            animationId: this.currentAnimation.id,
+            animationState: this.currentAnimation.lifecycle.clone(this.animationState),
+            grid: this.grid.clone(),
+            hue: this.colorManager.baseHue,
+            automation: this.automationManager.getState()
+        });
+        if (this.snapshots.length > MAX_SNAPSHOTS) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Return the simulation to a snapshot, dropping the snapshots taken after it
+     * @param {Object} snapshot - Snapshot from takeSnapshotIfDue
+     */
+    restoreSnapshot(snapshot) {
+        const previous = this.currentAnimation;
+        this.endTransition();
+        previous.lifecycle.dispose(this.animationState);
+        
+        this.time = snapshot.time;
+        this.accumulator = 0;
+        this.updateConfig(snapshot.config);
+        this.random.setState(snapshot.randomState);
+        
+        this.currentAnimation = this.animations.get(snapshot.animationId);
+        this.animationState = this.currentAnimation.lifecycle.clone(snapshot.animationState);
+        this.grid = snapshot.grid.clone();
+        this.colorManager.baseHue = snapshot.hue;
+        this.automationManager.setState(snapshot.automation);
+        this.snapshots = this.snapshots.filter(saved => saved.time <= snapshot.time);
+        
+        if (this.currentAnimation !== previous) {
+            this.emit('animationchange', {
+                id: snapshot.animationId,
+                index: this.config.animationType,
+                previousId: previous.id
+            });
+        }
+    }
+
+    /**
+     * Set the global time scale (slow motion below 1, fast forward above 1)
+     * @param {number} scale - Time scale multiplier
+     */
+    setTimeScale(scale) {
+        this.updateConfig({ timeScale: Math.max(0.1, Math.min(4, scale)) });
+        this.emit('playbackchange', this.getPlaybackState());
+    }
+
+    /**
+     * Step to the next slower or faster time scale in TIME_SCALE_STEPS
+     * A time scale between steps moves to the nearest step in that direction.
+     * @param {number} direction - -1 for slower, 1 for faster
+     */
+    stepTimeScale(direction) {
+        const current = this.config.timeScale;
+        const next = direction < 0
+            ? TIME_SCALE_STEPS.filter(scale => scale < current).pop()
+            : TIME_SCALE_STEPS.find(scale => scale > current);
+        if (next !== undefined) {
+            this.setTimeScale(next);
+        }
+    }
+
+    /**
+     * Enable or disable fixed timestep mode
+     * @param {number} stepSize - Step size in seconds, 0 for variable steps
+     */
+    setFixedTimestep(stepSize) {
+        this.accumulator = 0;
+        this.updateConfig({ fixedTimestep: stepSize });
+        this.emit('playbackchange', this.getPlaybackState());
+    }
+
+    /**
+     * Get the current playback state
+     * @returns {Object} Paused flag, time scale, fixed step and simulation time
+     */
+    getPlaybackState() {
+        return {
+            isPaused: this.isPaused,
+            timeScale: this.config.timeScale,
+            fixedTimestep: this.config.fixedTimestep,
+            time: this.time
+        };
+    }
+
+    /**
+     * Advance the clock and update the animation state by a time step
+     * @param {number} deltaTime - Time step in seconds
+     */
+    advance(deltaTime) {
+        this.takeSnapshotIfDue();
+        this.time += deltaTime;
+        this.update(deltaTime);
     }
 
     /**
@@ -145,19 +845,16 @@ export class AsciiEngine {
         
         // Handle automated parameter changes if enabled
         if (this.config.isAutomatedMode) {
+            this.getPlaylist();
             this.automationManager.updateParameters(this.time, deltaTime);
         }
         
-        // Run the current animation
-        if (this.currentAnimation && typeof this.currentAnimation.fn === 'function') {
-            this.currentAnimation.fn(
-                this.grid, 
-                this.time, 
-                deltaTime, 
-                this.config, 
-                this.characters,
-                this.colorManager
-            );
+        // Run the current animation, or both animations while crossfading
+        const args = [this.time, deltaTime, applyMotionLimits(this.config), this.characters, this.colorManager];
+        if (this.transition) {
+            this.updateTransition(args);
+        } else if (this.currentAnimation) {
+            this.currentAnimation.lifecycle.update(this.animationState, this.grid, ...args, this.getAnimationParams(), this.random);
         }
     }
     
@@ -182,8 +879,76 @@ export class AsciiEngine {
 
     /**
      * Render the current state
+     * @param {number} elapsed - Real seconds since the previous frame was shown (defaults to one frame)
+     */
+    render(elapsed = 1 / this.getTargetFps()) {
+        const grid = this.getDisplayGrid(elapsed);
+        this.lastFrame = grid;
+        this.renderer.render(grid);
+        this.emit('frame', { time: this.time, grid });
+    }
+    
+    /**
+     * Get the grid as it should be shown, with display adjustments (glyph replacement, lightness,
+     * the flash limiter, then color quantization) applied
+     * The adjustments go into a separate grid so they never feed back into the animation.
+     * @param {number} elapsed - Real seconds since the previous frame was shown, for the flash limiter
+     * @returns {CharacterGrid} Grid to render or export
+     */
+    getDisplayGrid(elapsed = 1 / this.getTargetFps()) {
+        const lightnessOffset = this.config.lightness - defaultConfig.lightness;
+        const { quantize, dither, photosensitivityGuard } = this.config;
+        const replaceCharacters = this.characters.replacesCharacters();
+        if (!photosensitivityGuard) {
+            this.flashLimiter.reset();
+        }
+        if (!replaceCharacters && !lightnessOffset && !quantize && !photosensitivityGuard) return this.grid;
+        
+        const { width, height } = this.grid;
+        if (!this.displayGrid || this.displayGrid.width !== width || this.displayGrid.height !== height) {
+            this.displayGrid = new CharacterGrid(width, height);
+        }
+        
+        // Glyphs the font cannot show, or every glyph in ASCII-only mode, become look-alikes
+        let source = this.grid;
+        if (replaceCharacters || lightnessOffset) {
+            this.grid.forEach((x, y, cell) => {
+                this.displayGrid.setCell(x, y, {
+                    ...cell,
+                    character: replaceCharacters ? this.characters.displayCharacter(cell.character) : cell.character,
+                    lightness: Math.max(0, Math.min(100, cell.lightness + lightnessOffset))
+                });
+            });
+            source = this.displayGrid;
+        }
+        if (photosensitivityGuard) {
+            this.flashLimiter.limit(source, this.displayGrid, elapsed);
+            source = this.displayGrid;
+        }
+        if (quantize) {
+            quantizeGrid(source, this.displayGrid, quantize, dither);
+        }
+        return this.displayGrid;
+    }
+    
+    /**
+     * Export the current frame as it was last shown
+     * The display grid is only built when rendering, so exporting never steps the flash limiter.
+     * @param {string} format - 'text', 'ansi', 'html' or 'json'
+     * @param {Object} options - Format specific options
+     * @returns {string} Serialized frame
+     */
+    exportFrame(format = 'text', options = {}) {
+        return exportGrid(this.lastFrame || this.getDisplayGrid(), format, options);
+    }
+    
+    /**
+     * Export the current frame and offer it as a file download (browser only)
+     * @param {string} format - 'text', 'ansi', 'html' or 'json'
+     * @param {Object} options - Format specific options
      */
-    render() {
-        this.renderer.render(this.grid);
+    downloadFrame(format = 'html', options = {}) {
+        const baseName = `asciidelic-${this.currentAnimation ? this.currentAnimation.id : 'frame'}-${Date.now()}`;
+        downloadFrame(this.exportFrame(format, options), format, baseName);
     }
 }
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Event Emitter - Minimal typed publish/subscribe
+ */
+export class EventEmitter {
+    /**
+     * Create an event emitter
+     * @param {Array} eventTypes - Event types this emitter emits; subscribing to anything else warns
+     */
+    constructor(eventTypes = []) {
+        this.eventTypes = new Set(eventTypes);
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Unsubscribes the listener
+     */
+    on(type, listener) {
+        if (this.eventTypes.size > 0 && !this.eventTypes.has(type)) {
+            console.warn(`Unknown event type: ${type}`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Unsubscribes the listener
+     */
+    once(type, listener) {
+        const unsubscribe = this.on(type, (detail) => {
+            unsubscribe();
+            listener(detail);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Call every listener of an event
+     * A listener that throws is reported and does not stop the others.
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail passed to the listeners
+     */
+    emit(type, detail) {
+        const listeners = this.listeners.get(type);
+        if (!listeners || listeners.size === 0) return;
+
+        // Copy so listeners can unsubscribe while being called
+        [...listeners].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+}
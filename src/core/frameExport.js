@@ -0,0 +1,139 @@
+/**
+ * Frame Export - Serializes a character grid to text, ANSI, HTML and JSON snapshots
+ */
+import { gridToAnsi } from './ansiRenderer.js';
+
+/**
+ * Supported export formats with file extension and MIME type
+ */
+export const exportFormats = {
+    text: { extension: 'txt', mimeType: 'text/plain' },
+    ansi: { extension: 'ans', mimeType: 'text/plain' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Escape characters that have a meaning in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a grid to a standalone HTML document with inline colors
+ * @param {CharacterGrid} grid - The grid to convert
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title
+ * @param {string} options.background - Page background color
+ * @param {string} options.fontFamily - Font family for the art
+ * @param {number} options.fontSize - Font size in pixels
+ * @returns {string} HTML document
+ */
+export function gridToHtml(grid, options = {}) {
+    const {
+        title = 'AsciiDelic Frame',
+        background = '#000',
+        fontFamily = 'monospace',
+        fontSize = 12
+    } = options;
+
+    let body = '';
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            const cell = grid.getCell(x, y);
+            if (!cell || cell.character === ' ') {
+                body += ' ';
+            } else {
+                body += `<span style="color: hsl(${cell.hue}, ${cell.saturation}%, ${cell.lightness}%)">${escapeHtml(cell.character)}</span>`;
+            }
+        }
+        body += '\n';
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { background: ${background}; margin: 0; display: flex; justify-content: center; align-items: center; min-height: 100vh; }
+pre { font-family: ${fontFamily}; font-size: ${fontSize}px; line-height: 1; white-space: pre; text-shadow: 0 0 5px rgba(255, 255, 255, 0.7); }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Convert a grid to a JSON cell dump
+ * @param {CharacterGrid} grid - The grid to convert
+ * @returns {string} JSON text
+ */
+export function gridToJson(grid) {
+    return JSON.stringify(grid.toJSON());
+}
+
+/**
+ * Serialize a grid in the requested format
+ * @param {CharacterGrid} grid - The grid to serialize
+ * @param {string} format - 'text', 'ansi', 'html' or 'json'
+ * @param {Object} options - Format specific options (colorDepth for ansi, document options for html)
+ * @returns {string} Serialized frame
+ */
+export function exportGrid(grid, format = 'text', options = {}) {
+    switch (format) {
+        case 'text':
+            return grid.toText();
+        case 'ansi':
+            return gridToAnsi(grid, options.colorDepth) + '\n';
+        case 'html':
+            return gridToHtml(grid, options);
+        case 'json':
+            return gridToJson(grid);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+/**
+ * Offer content as a file download in the browser
+ * @param {string|Uint8Array} content - File content, text or bytes
+ * @param {string} fileName - File name including extension
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, fileName, mimeType) {
+    const type = typeof content === 'string' ? `${mimeType};charset=utf-8` : mimeType;
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Offer serialized frame content as a file download in the browser
+ * @param {string} content - File content
+ * @param {string} format - Export format the content was produced in
+ * @param {string} baseName - File name without extension
+ */
+export function downloadFrame(content, format, baseName = 'asciidelic-frame') {
+    const { extension, mimeType } = exportFormats[format];
+    downloadFile(content, `${baseName}.${extension}`, mimeType);
+}
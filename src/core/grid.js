@@ -52,6 +52,16 @@ export class CharacterGrid {
         }
     }
 
+    /**
+     * Create a copy of the grid
+     * @returns {CharacterGrid} Grid with the same size and cells
+     */
+    clone() {
+        const copy = new CharacterGrid(this.width, this.height);
+        copy.grid = this.grid.map(row => row.map(cell => ({ ...cell })));
+        return copy;
+    }
+
     /**
      * Get a cell at specific coordinates
      * @param {number} x - X coordinate
@@ -113,4 +123,31 @@ export class CharacterGrid {
             }
         }
     }
+    
+    /**
+     * Get the grid contents as plain text
+     * @returns {string} One line per row, characters only
+     */
+    toText() {
+        return this.grid
+            .map(row => row.map(cell => cell.character).join(''))
+            .join('\n');
+    }
+    
+    /**
+     * Get a serializable dump of the grid
+     * @returns {Object} Width, height and rows of { character, hue, saturation, lightness }
+     */
+    toJSON() {
+        return {
+            width: this.width,
+            height: this.height,
+            cells: this.grid.map(row => row.map(cell => ({
+                character: cell.character,
+                hue: cell.hue,
+                saturation: cell.saturation,
+                lightness: cell.lightness
+            })))
+        };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Quantize - Post-processing stage that snaps cell colors to a fixed palette
+ *
+ * It runs on the display grid, so every renderer and export shows the same restricted colors.
+ * Dithering spreads the rounding error over neighbouring cells: `ordered` offsets each cell by
+ * a 4x4 Bayer matrix, `diffusion` carries the error forward Floyd-Steinberg style.
+ */
+import { hslToRgb, rgbToHsl, parseColor } from '../utils/color.js';
+import { ansi16Palette } from './ansiRenderer.js';
+
+// Nearest-color lookups kept per palette before the cache starts over
+const CACHE_LIMIT = 65536;
+
+// 4x4 Bayer matrix, thresholds 0-15 in row order
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/**
+ * Build the xterm 256-color palette: 16 system colors, a 6x6x6 cube and a 24-step gray ramp
+ * @returns {Array} RGB colors by index
+ */
+function buildXterm256() {
+    const colors = ansi16Palette.map(({ r, g, b }) => ({ r, g, b }));
+    const levels = [0, 95, 135, 175, 215, 255];
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 6; g++) {
+            for (let b = 0; b < 6; b++) {
+                colors.push({ r: levels[r], g: levels[g], b: levels[b] });
+            }
+        }
+    }
+    for (let i = 0; i < 24; i++) {
+        const gray = 8 + i * 10;
+        colors.push({ r: gray, g: gray, b: gray });
+    }
+    return colors;
+}
+
+/**
+ * Describe a quantization palette
+ * @param {string} name - Display name
+ * @param {Array} colors - RGB colors
+ * @param {number} spread - Strength of ordered dithering, roughly the gap between neighbouring colors
+ * @returns {Object} Palette
+ */
+function definePalette(name, colors, spread) {
+    return {
+        name,
+        colors,
+        hsl: colors.map(({ r, g, b }) => rgbToHsl(r, g, b)),
+        spread,
+        cache: new Map() // Packed RGB to color index
+    };
+}
+
+/**
+ * Palettes colors can be quantized to
+ */
+export const quantizePalettes = {
+    ansi16: definePalette('ANSI 16', ansi16Palette.map(({ r, g, b }) => ({ r, g, b })), 64),
+    xterm256: definePalette('xterm 256', buildXterm256(), 24),
+    c64: definePalette('Commodore 64', [
+        '#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+        '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'
+    ].map(parseColor), 64),
+    cga: definePalette('CGA', [
+        '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+        '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+    ].map(parseColor), 80)
+};
+
+/**
+ * Ways of spreading the quantization error across cells
+ */
+export const ditherModes = {
+    none: { name: 'None' },
+    ordered: { name: 'Ordered' },
+    diffusion: { name: 'Error diffusion' }
+};
+
+/**
+ * Find the palette color closest to an RGB color
+ * @param {Object} palette - Quantization palette
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} Color index
+ */
+function nearestColor(palette, r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    const cached = palette.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    let best = 0;
+    let bestDistance = Infinity;
+    palette.colors.forEach((color, index) => {
+        const distance = (r - color.r) ** 2 + (g - color.g) ** 2 + (b - color.b) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = index;
+        }
+    });
+
+    if (palette.cache.size >= CACHE_LIMIT) palette.cache.clear();
+    palette.cache.set(key, best);
+    return best;
+}
+
+/**
+ * Clamp and round a color channel
+ * @param {number} value - Channel value
+ * @returns {number} Integer in 0-255
+ */
+function toChannel(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Snap every cell's color to a palette
+ * Spaces carry no color, so they are copied as they are and take no diffused error.
+ * @param {CharacterGrid} source - Grid to read
+ * @param {CharacterGrid} target - Grid of the same size to write (may be the source)
+ * @param {string} paletteId - Key of quantizePalettes
+ * @param {string} dither - Key of ditherModes
+ * @returns {CharacterGrid} The target grid
+ */
+export function quantizeGrid(source, target, paletteId, dither = 'none') {
+    const palette = quantizePalettes[paletteId];
+    if (!palette) return source;
+
+    const { width, height } = source;
+    const diffuse = dither === 'diffusion';
+
+    // Error carried into the current and the next row, 3 channels per cell plus a cell of padding each side
+    let errors = diffuse ? new Float32Array((width + 2) * 3) : null;
+    let nextErrors = diffuse ? new Float32Array((width + 2) * 3) : null;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cell = source.getCell(x, y);
+            if (cell.character === ' ') {
+                target.setCell(x, y, cell);
+                continue;
+            }
+
+            let { r, g, b } = hslToRgb(cell.hue, cell.saturation, cell.lightness);
+            const i = (x + 1) * 3;
+            if (dither === 'ordered') {
+                const offset = (BAYER_4X4[(y % 4) * 4 + (x % 4)] / 16 - 0.5) * palette.spread;
+                r += offset;
+                g += offset;
+                b += offset;
+            } else if (diffuse) {
+                r += errors[i];
+                g += errors[i + 1];
+                b += errors[i + 2];
+            }
+            r = toChannel(r);
+            g = toChannel(g);
+            b = toChannel(b);
+
+            const index = nearestColor(palette, r, g, b);
+            if (diffuse) {
+                const color = palette.colors[index];
+                [r - color.r, g - color.g, b - color.b].forEach((error, channel) => {
+                    errors[i + 3 + channel] += error * 7 / 16;
+                    nextErrors[i - 3 + channel] += error * 3 / 16;
+                    nextErrors[i + channel] += error * 5 / 16;
+                    nextErrors[i + 3 + channel] += error * 1 / 16;
+                });
+            }
+
+            target.setCell(x, y, { ...cell, ...palette.hsl[index] });
+        }
+
+        if (diffuse) {
+            [errors, nextErrors] = [nextErrors, errors];
+            nextErrors.fill(0);
+        }
+    }
+
+    return target;
+}
@@ -0,0 +1,206 @@
+/**
+ * APNG Encoder - Pure JavaScript animated PNG encoder
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Largest payload of a stored (uncompressed) deflate block
+const MAX_STORED_BLOCK = 65535;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 used by PNG chunks
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compute the Adler-32 checksum that ends a zlib stream
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned Adler-32
+ */
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap data in a zlib stream of stored deflate blocks (no compression)
+ * @param {Uint8Array} data - Raw data
+ * @returns {Uint8Array} zlib stream
+ */
+function zlibStore(data) {
+    const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+    const output = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+    let offset = 0;
+
+    output[offset++] = 0x78;
+    output[offset++] = 0x01;
+
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * MAX_STORED_BLOCK;
+        const length = Math.min(MAX_STORED_BLOCK, data.length - start);
+        output[offset++] = block === blockCount - 1 ? 1 : 0;
+        output[offset++] = length & 0xff;
+        output[offset++] = length >> 8;
+        output[offset++] = ~length & 0xff;
+        output[offset++] = (~length >> 8) & 0xff;
+        output.set(data.subarray(start, start + length), offset);
+        offset += length;
+    }
+
+    const checksum = adler32(data);
+    output[offset++] = checksum >>> 24;
+    output[offset++] = (checksum >>> 16) & 0xff;
+    output[offset++] = (checksum >>> 8) & 0xff;
+    output[offset++] = checksum & 0xff;
+
+    return output;
+}
+
+/**
+ * Compress data as a zlib stream, using the platform's CompressionStream when available
+ * @param {Uint8Array} data - Raw data
+ * @returns {Promise<Uint8Array>} zlib stream
+ */
+async function zlibCompress(data) {
+    if (typeof CompressionStream === 'undefined') {
+        return zlibStore(data);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert RGBA pixels to filtered PNG scanlines (filter type 0, RGB)
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Uint8Array} Raw scanline data
+ */
+function toScanlines(rgba, width, height) {
+    const rowLength = width * 3 + 1;
+    const data = new Uint8Array(rowLength * height);
+
+    for (let y = 0; y < height; y++) {
+        let out = y * rowLength + 1; // First byte of each row is the filter type (0)
+        let src = y * width * 4;
+        for (let x = 0; x < width; x++, src += 4) {
+            data[out++] = rgba[src];
+            data[out++] = rgba[src + 1];
+            data[out++] = rgba[src + 2];
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Encode frames as an animated PNG
+ * @param {Array} frames - RGBA pixel buffers, all width x height
+ * @param {Object} options - Encoding options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} options.delay - Delay between frames in milliseconds
+ * @param {number} options.loops - Number of loops, 0 loops forever
+ * @returns {Promise<Uint8Array>} APNG file bytes
+ */
+export async function encodeApng(frames, { width, height, delay = 1000 / 30, loops = 0 }) {
+    const chunks = [Uint8Array.from(PNG_SIGNATURE)];
+    let sequence = 0;
+
+    const addChunk = (type, payload) => {
+        const chunk = new Uint8Array(12 + payload.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, payload.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(payload, 8);
+        view.setUint32(8 + payload.length, crc32(chunk.subarray(4, 8 + payload.length)));
+        chunks.push(chunk);
+    };
+
+    const payload = (length, fill) => {
+        const bytes = new Uint8Array(length);
+        fill(new DataView(bytes.buffer), bytes);
+        return bytes;
+    };
+
+    // IHDR: 8-bit RGB, no interlace
+    addChunk('IHDR', payload(13, (view) => {
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        view.setUint8(8, 8);
+        view.setUint8(9, 2);
+    }));
+
+    // acTL: frame count and loop count
+    addChunk('acTL', payload(8, (view) => {
+        view.setUint32(0, frames.length);
+        view.setUint32(4, loops);
+    }));
+
+    const delayMs = Math.round(delay);
+
+    for (let i = 0; i < frames.length; i++) {
+        // fcTL: full-frame region, delay as a fraction of a second
+        addChunk('fcTL', payload(26, (view) => {
+            view.setUint32(0, sequence++);
+            view.setUint32(4, width);
+            view.setUint32(8, height);
+            view.setUint32(12, 0);
+            view.setUint32(16, 0);
+            view.setUint16(20, delayMs);
+            view.setUint16(22, 1000);
+            view.setUint8(24, 0); // Dispose: none
+            view.setUint8(25, 0); // Blend: source
+        }));
+
+        const compressed = await zlibCompress(toScanlines(frames[i], width, height));
+
+        if (i === 0) {
+            // The first frame doubles as the default image for plain PNG viewers
+            addChunk('IDAT', compressed);
+        } else {
+            addChunk('fdAT', payload(4 + compressed.length, (view, bytes) => {
+                view.setUint32(0, sequence++);
+                bytes.set(compressed, 4);
+            }));
+        }
+    }
+
+    addChunk('IEND', new Uint8Array(0));
+
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const file = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+        file.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return file;
+}
@@ -0,0 +1,190 @@
+/**
+ * GIF Encoder - Pure JavaScript animated GIF89a encoder
+ */
+
+// Fixed 6x7x6 color cube shared by all frames (252 colors, padded to 256)
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+const PALETTE_SIZE = 256;
+
+/**
+ * Build the global color table
+ * @returns {Uint8Array} 256 RGB triplets
+ */
+function buildPalette() {
+    const palette = new Uint8Array(PALETTE_SIZE * 3);
+    let index = 0;
+
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette[index++] = Math.round((r / (RED_LEVELS - 1)) * 255);
+                palette[index++] = Math.round((g / (GREEN_LEVELS - 1)) * 255);
+                palette[index++] = Math.round((b / (BLUE_LEVELS - 1)) * 255);
+            }
+        }
+    }
+
+    return palette;
+}
+
+/**
+ * Map RGBA pixels to indices in the color cube
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function indexPixels(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+        const r = Math.round((rgba[p] / 255) * (RED_LEVELS - 1));
+        const g = Math.round((rgba[p + 1] / 255) * (GREEN_LEVELS - 1));
+        const b = Math.round((rgba[p + 2] / 255) * (BLUE_LEVELS - 1));
+        indices[i] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+    }
+
+    return indices;
+}
+
+/**
+ * LZW-compress palette indices as GIF image data
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size
+ * @returns {Array} Compressed bytes
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    writeCode(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = (prefix << 8) | pixel;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        writeCode(prefix);
+
+        if (nextCode === 4096) {
+            // Table is full, start over
+            writeCode(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+
+        prefix = pixel;
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xff);
+    }
+
+    return bytes;
+}
+
+/**
+ * Encode frames as an animated GIF
+ * @param {Array} frames - RGBA pixel buffers, all width x height
+ * @param {Object} options - Encoding options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} options.delay - Delay between frames in milliseconds
+ * @param {number} options.loops - Number of loops, 0 loops forever
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGif(frames, { width, height, delay = 1000 / 30, loops = 0 }) {
+    const bytes = [];
+    const writeByte = (value) => bytes.push(value & 0xff);
+    const writeShort = (value) => {
+        writeByte(value);
+        writeByte(value >> 8);
+    };
+    const writeString = (text) => {
+        for (let i = 0; i < text.length; i++) writeByte(text.charCodeAt(i));
+    };
+
+    // Header and logical screen descriptor with a 256 entry global color table
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    writeByte(0xf7);
+    writeByte(0); // Background color index
+    writeByte(0); // Pixel aspect ratio
+    buildPalette().forEach(writeByte);
+
+    // Netscape extension so the animation loops
+    writeByte(0x21);
+    writeByte(0xff);
+    writeByte(11);
+    writeString('NETSCAPE2.0');
+    writeByte(3);
+    writeByte(1);
+    writeShort(loops);
+    writeByte(0);
+
+    // GIF delays are in hundredths of a second
+    const delayCs = Math.max(2, Math.round(delay / 10));
+
+    for (const frame of frames) {
+        // Graphic control extension
+        writeByte(0x21);
+        writeByte(0xf9);
+        writeByte(4);
+        writeByte(0x04); // Disposal: leave frame in place, no transparency
+        writeShort(delayCs);
+        writeByte(0);
+        writeByte(0);
+
+        // Image descriptor covering the full frame, no local color table
+        writeByte(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        writeByte(0);
+
+        // LZW data in sub-blocks of at most 255 bytes
+        const minCodeSize = 8;
+        const data = lzwEncode(indexPixels(frame), minCodeSize);
+        writeByte(minCodeSize);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.slice(offset, offset + 255);
+            writeByte(block.length);
+            block.forEach(writeByte);
+        }
+        writeByte(0);
+    }
+
+    writeByte(0x3b); // Trailer
+    return Uint8Array.from(bytes);
+}
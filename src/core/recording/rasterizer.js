@@ -0,0 +1,127 @@
+/**
+ * Rasterizer - Turns character grid frames into RGBA pixel buffers for encoding
+ */
+import { hslToRgb } from '../../utils/color.js';
+
+/**
+ * Default rasterizer options
+ */
+const defaultRasterOptions = {
+    font: '12px monospace', // Any CSS font shorthand the canvas understands
+    cellWidth: 7, // Cell width in pixels
+    cellHeight: 12, // Cell height in pixels
+    background: { r: 0, g: 0, b: 0 }, // Frame background color
+    createCanvas: null // Optional canvas factory (width, height) => canvas, e.g. from the 'canvas' package in Node
+};
+
+/**
+ * Create a canvas from the given factory or the environment
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {Function} createCanvas - Optional canvas factory
+ * @returns {Object|null} Canvas, or null when none is available
+ */
+function createCanvasFor(width, height, createCanvas) {
+    if (typeof createCanvas === 'function') {
+        return createCanvas(width, height);
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return null;
+}
+
+/**
+ * Create a rasterizer for grid frames
+ * Draws real glyphs when a canvas is available; without one (plain Node) each
+ * non-blank cell becomes a colored block so recordings still work headless.
+ * @param {number} columns - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @param {Object} options - Font, cell size, background and canvas factory
+ * @returns {Object} Rasterizer with width, height and rasterize(grid)
+ */
+export function createRasterizer(columns, rows, options = {}) {
+    const settings = { ...defaultRasterOptions, ...options };
+    const width = columns * settings.cellWidth;
+    const height = rows * settings.cellHeight;
+    const canvas = createCanvasFor(width, height, settings.createCanvas);
+    const rasterize = canvas
+        ? createCanvasRasterize(canvas, width, height, settings)
+        : createBlockRasterize(width, height, settings);
+
+    return { width, height, usesGlyphs: Boolean(canvas), rasterize };
+}
+
+/**
+ * Build a rasterize function that draws glyphs on a canvas
+ * @param {Object} canvas - Canvas to draw on
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Object} settings - Rasterizer settings
+ * @returns {Function} rasterize(grid) returning RGBA pixel data
+ */
+function createCanvasRasterize(canvas, width, height, settings) {
+    const ctx = canvas.getContext('2d');
+    const { cellWidth, cellHeight, background } = settings;
+
+    return (grid) => {
+        ctx.fillStyle = `rgb(${background.r}, ${background.g}, ${background.b})`;
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = settings.font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        grid.forEach((x, y, cell) => {
+            if (cell.character === ' ') return;
+            ctx.fillStyle = `hsl(${cell.hue}, ${cell.saturation}%, ${cell.lightness}%)`;
+            ctx.fillText(cell.character, x * cellWidth + cellWidth / 2, y * cellHeight + cellHeight / 2);
+        });
+
+        return ctx.getImageData(0, 0, width, height).data;
+    };
+}
+
+/**
+ * Build a rasterize function that draws each cell as an inset colored block
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Object} settings - Rasterizer settings
+ * @returns {Function} rasterize(grid) returning RGBA pixel data
+ */
+function createBlockRasterize(width, height, settings) {
+    const { cellWidth, cellHeight, background } = settings;
+    const insetX = Math.floor(cellWidth / 4);
+    const insetY = Math.floor(cellHeight / 4);
+
+    return (grid) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = background.r;
+            data[i + 1] = background.g;
+            data[i + 2] = background.b;
+            data[i + 3] = 255;
+        }
+
+        grid.forEach((x, y, cell) => {
+            if (cell.character === ' ') return;
+            const { r, g, b } = hslToRgb(cell.hue, cell.saturation, cell.lightness);
+
+            for (let py = y * cellHeight + insetY; py < (y + 1) * cellHeight - insetY; py++) {
+                for (let px = x * cellWidth + insetX; px < (x + 1) * cellWidth - insetX; px++) {
+                    const index = (py * width + px) * 4;
+                    data[index] = r;
+                    data[index + 1] = g;
+                    data[index + 2] = b;
+                }
+            }
+        });
+
+        return data;
+    };
+}
@@ -0,0 +1,93 @@
+/**
+ * Frame Recorder - Captures engine frames at a fixed timestep and encodes animated GIF or APNG
+ */
+import { createRasterizer } from './rasterizer.js';
+import { encodeGif } from './gifEncoder.js';
+import { encodeApng } from './apngEncoder.js';
+import { downloadFile } from '../frameExport.js';
+
+/**
+ * Default recording options
+ */
+const defaultRecordingOptions = {
+    format: 'gif', // 'gif' or 'apng'
+    fps: 30, // Capture rate, also the fixed simulation timestep
+    startFrame: 0, // Frames simulated before capture starts
+    frameCount: 90, // Frames captured
+    loops: 0, // 0 loops forever
+    raster: {} // Rasterizer options (font, cellWidth, cellHeight, background, createCanvas)
+};
+
+export class FrameRecorder {
+    /**
+     * Create a frame recorder
+     * @param {AsciiEngine} engine - Engine to record
+     * @param {Object} options - Recording options
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.options = { ...defaultRecordingOptions, ...options };
+        this.isRecording = false;
+    }
+
+    /**
+     * Capture the configured frame range and encode it
+     * The live loop is paused while recording so every frame advances by exactly 1/fps.
+     * @returns {Promise<Uint8Array>} Encoded file bytes
+     */
+    async record() {
+        if (this.isRecording) {
+            throw new Error('Recording already in progress');
+        }
+
+        const { engine } = this;
+        const { format, fps, startFrame, frameCount, loops, raster } = this.options;
+        const deltaTime = 1 / fps;
+        const rasterizer = createRasterizer(engine.grid.width, engine.grid.height, raster);
+        const frames = [];
+
+        const wasRunning = engine.isRunning;
+        engine.stop();
+        this.isRecording = true;
+
+        try {
+            for (let i = 0; i < startFrame + frameCount; i++) {
+                engine.advance(deltaTime);
+                if (i < startFrame) continue;
+
+                engine.render(deltaTime);
+                frames.push(rasterizer.rasterize(engine.lastFrame));
+            }
+        } finally {
+            this.isRecording = false;
+            if (wasRunning) engine.start();
+        }
+
+        const encodeOptions = {
+            width: rasterizer.width,
+            height: rasterizer.height,
+            delay: 1000 / fps,
+            loops
+        };
+
+        return format === 'apng'
+            ? encodeApng(frames, encodeOptions)
+            : encodeGif(frames, encodeOptions);
+    }
+}
+
+/**
+ * Save encoded recording bytes: a download in the browser, a file in Node
+ * @param {Uint8Array} bytes - Encoded file bytes
+ * @param {string} fileName - File name (download name or path)
+ * @returns {Promise<void>}
+ */
+export async function saveRecording(bytes, fileName) {
+    if (typeof document === 'undefined') {
+        const { writeFile } = await import('fs/promises');
+        await writeFile(fileName, bytes);
+        return;
+    }
+
+    downloadFile(bytes, fileName, /\.a?png$/i.test(fileName) ? 'image/apng' : 'image/gif');
+}
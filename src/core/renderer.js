@@ -1,14 +1,20 @@
 /**
  * Renderer.js - Renders the character grid to the DOM
  */
+import { CanvasRenderer } from './canvasRenderer.js';
+import { DomRenderer } from './domRenderer.js';
+
 export class Renderer {
     /**
      * Create a new renderer
      * @param {HTMLElement} container - The container element to render into
+     * @param {Object} options - Backend options (e.g. { canvas: { fontSize, cellWidth } })
      */
-    constructor(container) {
+    constructor(container, options = {}) {
         this.container = container;
-        this.renderMode = 'html'; // Other potential modes: 'canvas', 'webgl'
+        this.renderMode = 'html'; // Other potential modes: 'dom', 'canvas', 'webgl'
+        this.canvasRenderer = new CanvasRenderer(container, options.canvas);
+        this.domRenderer = new DomRenderer(container);
     }
 
     /**
@@ -17,15 +23,21 @@ export class Renderer {
      */
     setContainer(container) {
         this.container = container;
+        this.canvasRenderer.setContainer(container);
+        this.domRenderer.setContainer(container);
     }
 
     /**
      * Set the rendering mode
-     * @param {string} mode - Rendering mode ('html', 'canvas', etc.)
+     * @param {string} mode - Rendering mode ('html', 'dom', 'canvas', etc.)
+     * @param {Object} options - Options for the selected backend
      */
-    setRenderMode(mode) {
-        if (['html', 'canvas', 'webgl'].includes(mode)) {
+    setRenderMode(mode, options = {}) {
+        if (['html', 'dom', 'canvas', 'webgl'].includes(mode)) {
             this.renderMode = mode;
+            if (mode === 'canvas') {
+                this.canvasRenderer.setOptions(options);
+            }
         } else {
             console.warn(`Unsupported render mode: ${mode}`);
         }
@@ -40,6 +52,9 @@ export class Renderer {
             case 'html':
                 this.renderHtml(grid);
                 break;
+            case 'dom':
+                this.renderDom(grid);
+                break;
             case 'canvas':
                 this.renderCanvas(grid);
                 break;
@@ -77,12 +92,19 @@ export class Renderer {
     }
 
     /**
-     * Render the grid using Canvas (placeholder for future implementation)
+     * Render the grid using persistent DOM nodes, updating only what changed
+     * @param {CharacterGrid} grid - The grid to render
+     */
+    renderDom(grid) {
+        this.domRenderer.render(grid);
+    }
+
+    /**
+     * Render the grid using a 2D canvas
      * @param {CharacterGrid} grid - The grid to render
      */
     renderCanvas(grid) {
-        console.warn('Canvas rendering not yet implemented');
-        this.renderHtml(grid);
+        this.canvasRenderer.render(grid);
     }
 
     /**
@@ -0,0 +1,127 @@
+/**
+ * Transitions - Blend styles for crossfading between two animation grids
+ */
+
+// Width of the ragged edge for wipe and iris, as a fraction of the sweep
+const EDGE_SOFTNESS = 0.15;
+
+// Light to heavy characters the density morph passes through
+const MORPH_RAMP = ['·', '░', '▒', '▓'];
+
+/**
+ * Pick the outgoing or incoming cell once a position's reveal point has been passed
+ * @param {number} position - Where the cell sits along the sweep (0-1)
+ * @param {number} noise - Per-cell random value (0-1) that roughens the edge
+ * @param {number} progress - Transition progress (0-1)
+ * @returns {boolean} True if the incoming cell is showing
+ */
+function isRevealed(position, noise, progress) {
+    return position + noise * EDGE_SOFTNESS < progress * (1 + EDGE_SOFTNESS);
+}
+
+/**
+ * Thin a cell out to a lighter character of the morph ramp
+ * @param {Object} cell - Source cell
+ * @param {number} strength - How much of the cell remains (0-1)
+ * @returns {Object} Cell to draw
+ */
+function thinCell(cell, strength) {
+    if (cell.character === ' ' || strength >= 1) return cell;
+    if (strength <= 0) return { ...cell, character: ' ' };
+
+    const index = Math.min(MORPH_RAMP.length - 1, Math.floor(strength * MORPH_RAMP.length));
+    return { ...cell, character: MORPH_RAMP[index] };
+}
+
+/**
+ * Blend styles; each picks the cell to draw from the outgoing and incoming grids
+ */
+export const transitionStyles = {
+    // Every cell flips at its own random moment
+    dissolve: {
+        name: 'Dissolve',
+        cell: (from, to, x, y, progress, context) =>
+            (context.noise[y * context.width + x] < progress ? to : from)
+    },
+
+    // Left-to-right sweep with a ragged edge
+    wipe: {
+        name: 'Wipe',
+        cell: (from, to, x, y, progress, context) =>
+            (isRevealed(x / context.width, context.noise[y * context.width + x], progress) ? to : from)
+    },
+
+    // Circle opening from the center
+    iris: {
+        name: 'Iris',
+        cell: (from, to, x, y, progress, context) => {
+            const dx = (x - context.width / 2) / (context.width / 2);
+            const dy = (y - context.height / 2) / (context.height / 2);
+            const radius = Math.sqrt(dx * dx + dy * dy) / Math.SQRT2;
+            return isRevealed(radius, context.noise[y * context.width + x], progress) ? to : from;
+        }
+    },
+
+    // Outgoing characters thin out to nothing, then incoming ones thicken in
+    morph: {
+        name: 'Morph',
+        cell: (from, to, x, y, progress) => (progress < 0.5
+            ? thinCell(from, 1 - progress * 2)
+            : thinCell(to, (progress - 0.5) * 2))
+    }
+};
+
+/**
+ * Get the style for a name, picking one at random for 'random'
+ * @param {string} style - Style name or 'random'
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
+ * @returns {string} A key of transitionStyles
+ */
+export function resolveTransitionStyle(style, rng) {
+    const names = Object.keys(transitionStyles);
+    if (style === 'random') {
+        return names[Math.floor(rng() * names.length)];
+    }
+    if (!transitionStyles[style]) {
+        console.warn(`Unknown transition style: ${style}, using dissolve`);
+        return 'dissolve';
+    }
+    return style;
+}
+
+/**
+ * Create the per-cell noise used by dissolve, wipe and iris
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {Function} rng - Random generator returning numbers in [0, 1)
+ * @returns {Float32Array} One random value per cell
+ */
+export function createTransitionNoise(width, height, rng) {
+    const noise = new Float32Array(width * height);
+    for (let i = 0; i < noise.length; i++) {
+        noise[i] = rng();
+    }
+    return noise;
+}
+
+/**
+ * Blend two grids into a target grid
+ * @param {string} style - Key of transitionStyles
+ * @param {CharacterGrid} fromGrid - Outgoing animation's grid
+ * @param {CharacterGrid} toGrid - Incoming animation's grid
+ * @param {CharacterGrid} target - Grid that receives the blend
+ * @param {number} progress - Transition progress (0-1)
+ * @param {Float32Array} noise - Per-cell noise from createTransitionNoise
+ */
+export function blendGrids(style, fromGrid, toGrid, target, progress, noise) {
+    const blendCell = transitionStyles[style].cell;
+    const context = { width: target.width, height: target.height, noise };
+
+    for (let y = 0; y < target.height; y++) {
+        for (let x = 0; x < target.width; x++) {
+            const from = fromGrid.getCell(x, y);
+            const to = toGrid.getCell(x, y);
+            target.setCell(x, y, blendCell(from, to, x, y, progress, context));
+        }
+    }
+}
@@ -3,84 +3,224 @@
  */
 import { AsciiEngine } from './core/engine.js';
 import { animations } from './animations/index.js';
-import { defaultConfig, DEFAULT_ANIMATION } from './config/defaults.js';
+import { DEFAULT_ANIMATION } from './config/defaults.js';
 import { UIManager } from './ui/uiManager.js';
 import { InputManager } from './ui/inputManager.js';
+import { ControlPanel } from './ui/controlPanel.js';
+import { captureState, readUrlState, writeUrlState, loadStoredState, saveStoredState } from './config/persistence.js';
+
+// Minimum time between writes of the current state to the URL hash and localStorage
+const STATE_SAVE_INTERVAL = 1000;
+
+/**
+ * Default options for AsciiDelic.create
+ */
+const defaultOptions = {
+    config: {}, // Engine configuration overrides (see config/defaults.js)
+    animation: DEFAULT_ANIMATION, // Animation id to start with
+    controls: null, // Controls container element (only passed through to UIManager)
+    panel: null, // Element for the settings panel (no panel when omitted)
+    renderMode: 'html', // 'html', 'dom' or 'canvas'
+    renderOptions: {}, // Options for the render mode's backend (e.g. { fontSize, glow } for canvas)
+    urlState: false, // Restore from and keep the state in the URL hash
+    storeState: false, // Restore from and keep the state in localStorage
+    autoStart: true // Start the animation loop immediately
+};
 
 export class AsciiDelic {
+    /**
+     * Create and start AsciiDelic in a container, the one bootstrap path for the page and for embeds
+     * @param {HTMLElement|string} container - Container element, or a selector for it
+     * @param {Object} options - Application options
+     * @param {Object} options.config - Engine configuration overrides
+     * @param {string} options.animation - Animation id to start with
+     * @param {HTMLElement} options.controls - Controls container element
+     * @param {HTMLElement} options.panel - Element for the settings panel
+     * @param {string} options.renderMode - Render mode for the engine's renderer
+     * @param {Object} options.renderOptions - Options for the render mode's backend (see canvasRenderer.js)
+     * @param {boolean} options.urlState - Restore from and keep the state in the URL hash
+     * @param {boolean} options.storeState - Restore from and keep the state in localStorage
+     * @param {boolean} options.autoStart - Start the animation loop immediately
+     * @returns {AsciiDelic|null} The running application, or null if the container was not found
+     */
+    static create(container, options = {}) {
+        const app = new AsciiDelic(container, options);
+        return app.init() ? app : null;
+    }
+    
     /**
      * Initialize AsciiDelic
+     * @param {HTMLElement|string} container - Container element, or a selector for it
+     * @param {Object} options - Application options (see AsciiDelic.create)
      */
-    constructor() {
+    constructor(container, options = {}) {
         // Container element for rendering
-        this.container = null;
+        this.container = typeof container === 'string'
+            ? document.querySelector(container)
+            : container;
+        this.options = { ...defaultOptions, ...options };
         
         // Core components
         this.engine = null;
         this.uiManager = null;
         this.inputManager = null;
+        this.controlPanel = null;
+        this.saveTimer = null;
+        this.subscriptions = []; // Unsubscribe functions for engine events
     }
-
+    
     /**
      * Initialize the application
+     * @returns {boolean} True if the application was initialized
      */
     init() {
-        // Get container element
-        this.container = document.getElementById('ascii-art');
         if (!this.container) {
             console.error('Container element not found');
-            return;
+            return false;
         }
         
-        // Create engine with default config
-        this.engine = new AsciiEngine(this.container, defaultConfig);
+        // A shared link or the last session's look wins over the configured start
+        const savedState = this.loadSavedState();
+        
+        // Create engine with the default config plus any overrides
+        this.engine = new AsciiEngine(this.container, {
+            ...this.options.config,
+            ...(savedState ? savedState.config : {})
+        });
+        this.engine.renderer.setRenderMode(this.options.renderMode, this.options.renderOptions);
+        this.followReducedMotion(savedState);
+        
+        // Glyphs measured before a web font arrived have the fallback font's shapes
+        if (typeof document.fonts !== 'undefined') {
+            document.fonts.ready.then(() => this.engine && this.engine.measureCharacters());
+        }
         
         // Register all animations
         this.registerAnimations();
         
         // Create UI manager
-        const controlsContainer = document.getElementById('controls-container');
         this.uiManager = new UIManager(
-            controlsContainer, 
-            this.toggleMode.bind(this), 
-            this.updateAnimationInfo.bind(this)
+            this.options.controls,
+            this.toggleMode.bind(this),
+            () => this.engine.config,
+            {
+                getSchema: () => this.engine.getAnimationParamSchema(),
+                getValues: () => this.engine.getAnimationParams(),
+                setValue: (name, value) => this.engine.setAnimationParam(name, value)
+            }
         );
         
+        // The UI follows the engine's events, including playlist and automation changes
+        this.uiManager.connect(this.engine, animations);
+        
         // Create input manager with animations
         this.inputManager = new InputManager(this.engine, this.uiManager, animations);
         
-        // Initialize with default animation
-        this.initializeDefaultAnimation();
+        // Create the settings panel, sharing the keyboard's action handlers
+        if (this.options.panel) {
+            this.controlPanel = new ControlPanel(
+                this.options.panel,
+                this.engine,
+                animations,
+                this.inputManager.actionHandlers,
+                this.uiManager
+            );
+            this.uiManager.setControlPanel(this.controlPanel);
+        }
+        
+        // Initialize with the requested animation
+        const animationId = (savedState && savedState.animation) || this.options.animation;
+        if (savedState) {
+            this.restoreAnimationParams(animationId, savedState.params);
+        }
+        this.initializeAnimation(animationId);
+        
+        // Keep the saved state up to date
+        if (this.options.urlState || this.options.storeState) {
+            this.subscriptions.push(
+                this.engine.on('configchange', () => this.scheduleSave()),
+                this.engine.on('animationchange', () => this.scheduleSave())
+            );
+            this.saveState();
+        }
         
         // Initialize UI based on current mode
         this.uiManager.updateModeDisplay(this.engine.config.isAutomatedMode);
         
         // Start animation loop
-        this.engine.start();
+        if (this.options.autoStart) {
+            this.engine.start();
+        }
+        return true;
+    }
+    
+    /**
+     * Initialize the starting animation
+     * @param {string} id - Animation identifier
+     */
+    initializeAnimation(id) {
+        // Find the animation in the animations array
+        let animIndex = animations.findIndex(anim => anim.id === id);
+        
+        if (animIndex === -1) {
+            // Fallback to the first animation if it was not found
+            console.warn(`Animation '${id}' not found, using first available.`);
+            animIndex = 0;
+        }
+        
+        // The UI picks the change up from the animationchange event
+        this.engine.setAnimation(animations[animIndex].id);
+    }
+    
+    /**
+     * Load the state saved in the URL hash or, failing that, localStorage
+     * @returns {Object|null} Saved state, or null if there is none
+     */
+    loadSavedState() {
+        return (this.options.urlState && readUrlState()) ||
+            (this.options.storeState && loadStoredState()) ||
+            null;
+    }
+    
+    /**
+     * Apply saved animation parameters
+     * @param {string} id - Animation identifier
+     * @param {Object} params - Saved parameter values
+     */
+    restoreAnimationParams(id, params) {
+        if (!this.engine.animations.has(id)) return;
+        
+        const schema = this.engine.getAnimationParamSchema(id);
+        Object.entries(params).forEach(([name, value]) => {
+            if (schema[name]) {
+                this.engine.setAnimationParam(name, value, id);
+            } else {
+                console.warn(`Ignoring unknown parameter for ${id}: ${name}`);
+            }
+        });
+    }
+    
+    /**
+     * Save the state soon, at most once per STATE_SAVE_INTERVAL however often it changes
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveState();
+        }, STATE_SAVE_INTERVAL);
     }
     
     /**
-     * Initialize the default animation
+     * Write the current state to the URL hash and/or localStorage
      */
-    initializeDefaultAnimation() {
-        // Find the default animation in the animations array
-        const defaultAnimIndex = animations.findIndex(anim => anim.id === DEFAULT_ANIMATION);
-        
-        if (defaultAnimIndex !== -1) {
-            // First set the animation directly
-            this.engine.setAnimation(DEFAULT_ANIMATION);
-            
-            // Then set animationType to match so UI and keyboard navigation work correctly
-            this.engine.updateConfig({ animationType: defaultAnimIndex });
-            
-            // Update the UI to show the current animation
-            this.updateAnimationInfo(defaultAnimIndex);
-        } else {
-            // Fallback to the first animation if default not found
-            console.warn(`Default animation '${DEFAULT_ANIMATION}' not found, using first available.`);
-            this.engine.setAnimation(animations[0].id);
-            this.engine.updateConfig({ animationType: 0 });
-            this.updateAnimationInfo(0);
+    saveState() {
+        const state = captureState(this.engine);
+        if (this.options.urlState) {
+            writeUrlState(state);
+        }
+        if (this.options.storeState) {
+            saveStoredState(state);
         }
     }
     
@@ -92,11 +232,11 @@ export class AsciiDelic {
             this.engine.registerAnimation(
                 animation.id,
                 animation.fn,
-                { name: animation.name, description: animation.description }
+                { name: animation.name, description: animation.description, params: animation.params }
             );
         });
     }
-
+    
     /**
      * Toggle between automated and manual modes
      */
@@ -104,31 +244,45 @@ export class AsciiDelic {
         const currentMode = this.engine.config.isAutomatedMode;
         const newMode = !currentMode;
         
-        // Toggle the mode in the engine
+        // Toggle the mode in the engine; the UI follows the modechange event
         this.engine.toggleAutomatedMode(newMode);
+    }
+    
+    /**
+     * Keep config.reducedMotion in step with the system's prefers-reduced-motion setting,
+     * unless the configuration or the saved state sets it explicitly
+     * @param {Object|null} savedState - State restored from the URL or localStorage
+     */
+    followReducedMotion(savedState) {
+        if (this.options.config.reducedMotion !== undefined || typeof matchMedia !== 'function') return;
+        if (savedState && savedState.config.reducedMotion !== undefined) return;
         
-        // Update the UI to reflect the new mode
-        this.uiManager.updateModeDisplay(newMode);
-        
-        // Update animation info to show parameters if in manual mode
-        const currentIdx = this.engine.config.animationType;
-        this.updateAnimationInfo(currentIdx);
+        const query = matchMedia('(prefers-reduced-motion: reduce)');
+        const apply = () => this.engine.updateConfig({ reducedMotion: query.matches });
+        apply();
+        query.addEventListener('change', apply);
+        this.subscriptions.push(() => query.removeEventListener('change', apply));
     }
     
     /**
-     * Update animation info display
-     * @param {number} index - Animation index
+     * Stop the animation and state saving, detach input listeners and remove the settings panel
      */
-    updateAnimationInfo(index) {
-        // Validate index
-        if (index >= 0 && index < animations.length) {
-            this.uiManager.updateAnimationDisplay(index, animations, this.engine.config);
+    destroy() {
+        if (this.engine) {
+            this.engine.stop();
+        }
+        if (this.inputManager) {
+            this.inputManager.removeEventListeners();
         }
+        if (this.uiManager) {
+            this.uiManager.disconnect();
+        }
+        if (this.controlPanel) {
+            this.controlPanel.destroy();
+        }
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
     }
 }
-
-// Initialize on DOM load
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new AsciiDelic();
-    app.init();
-});
\ No newline at end of file
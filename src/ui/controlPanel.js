@@ -0,0 +1,601 @@
+/**
+ * Control Panel - Collapsible settings panel with sliders, a hue wheel and pickers
+ */
+import { colorModes } from '../config/defaults.js';
+import { animationCategories } from '../animations/index.js';
+import { captureState } from '../config/persistence.js';
+import { downloadFile } from '../core/frameExport.js';
+import { palettes, parseColorList, CUSTOM_PALETTE } from '../utils/palettes.js';
+import { quantizePalettes, ditherModes } from '../core/quantize.js';
+import { characterSets, parseCharacterList, CUSTOM_CHARACTER_SET } from '../utils/characterRamps.js';
+
+/**
+ * Sliders shown in the panel
+ * `target` is the automation target moved along with the value, so automated mode
+ * does not drift straight back to where it was.
+ */
+const sliderDefinitions = [
+    { key: 'speed', label: 'Speed', min: 0.2, max: 3, step: 0.1, target: 'targetSpeed' },
+    { key: 'density', label: 'Density', min: 0.1, max: 1, step: 0.05, target: 'targetDensity' },
+    { key: 'saturation', label: 'Saturation', min: 0, max: 100, step: 1 },
+    { key: 'lightness', label: 'Lightness', min: 20, max: 80, step: 1 },
+    { key: 'transitionDuration', label: 'Transition (s)', min: 3, max: 60, step: 1 },
+    { key: 'automationSpeed', label: 'Automation Speed', min: 0.1, max: 2, step: 0.1 }
+];
+
+/**
+ * Accessibility checkboxes shown in the panel
+ */
+const accessibilityDefinitions = [
+    { key: 'reducedMotion', label: 'Reduce motion' },
+    { key: 'photosensitivityGuard', label: 'Limit flashing' },
+    { key: 'colorblindSafe', label: 'Colorblind-safe colors' }
+];
+
+export class ControlPanel {
+    /**
+     * Create the control panel
+     * @param {HTMLElement} container - Element the panel is built in
+     * @param {AsciiEngine} engine - Engine whose config the panel edits
+     * @param {Array} animations - Available animations
+     * @param {Object} actions - Input action handlers (changeAnimation, applyPreset, handleRandomize, handleModeToggle)
+     * @param {UIManager} uiManager - UI manager that shows notices
+     */
+    constructor(container, engine, animations, actions, uiManager) {
+        this.container = container;
+        this.engine = engine;
+        this.animations = animations;
+        this.actions = actions;
+        this.uiManager = uiManager;
+        this.isCollapsed = true;
+        this.needsSync = false;
+
+        // Controls by config key
+        this.sliders = {};
+        this.elements = {};
+
+        this.build();
+        this.sync(engine.config);
+        
+        // Automation keeps changing values, so catch up once per rendered frame while open
+        const markChanged = () => {
+            this.needsSync = true;
+        };
+        this.subscriptions = [
+            engine.on('configchange', markChanged),
+            engine.on('animationchange', markChanged),
+            engine.on('frame', () => {
+                if (this.needsSync && !this.isCollapsed) {
+                    this.needsSync = false;
+                    this.sync(engine.config);
+                }
+            })
+        ];
+    }
+
+    /**
+     * Build the panel DOM
+     */
+    build() {
+        this.container.innerHTML = '';
+        this.container.classList.add('control-panel', 'collapsed');
+
+        const toggle = document.createElement('button');
+        toggle.className = 'control-panel-toggle';
+        toggle.textContent = 'Settings (C)';
+        toggle.addEventListener('click', () => this.toggle());
+        this.container.appendChild(toggle);
+
+        const body = document.createElement('div');
+        body.className = 'control-panel-body';
+        this.container.appendChild(body);
+
+        body.appendChild(this.createAnimationPicker());
+        body.appendChild(this.createPresetControls());
+        body.appendChild(this.createColorControls());
+
+        const sliders = document.createElement('div');
+        sliders.className = 'control-panel-sliders';
+        sliderDefinitions.forEach(definition => {
+            sliders.appendChild(this.createSlider(definition));
+        });
+        body.appendChild(sliders);
+
+        body.appendChild(this.createQuantizeControls());
+        body.appendChild(this.createCharacterControls());
+        body.appendChild(this.createAccessibilityControls());
+        body.appendChild(this.createButtons());
+    }
+
+    /**
+     * Create the animation picker, grouped by category, with the description underneath
+     * @returns {HTMLElement} Picker element
+     */
+    createAnimationPicker() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-animation';
+
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        animationCategories.forEach(category => {
+            const group = document.createElement('optgroup');
+            group.label = category.name;
+            this.animations.forEach((animation, index) => {
+                if (animation.category !== category.id) return;
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = animation.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+        select.addEventListener('change', () => {
+            this.actions.changeAnimation(parseInt(select.value, 10));
+        });
+
+        const description = document.createElement('div');
+        description.className = 'control-description';
+
+        wrapper.appendChild(select);
+        wrapper.appendChild(description);
+        this.elements.animationSelect = select;
+        this.elements.animationDescription = description;
+        return wrapper;
+    }
+
+    /**
+     * Create the preset picker with apply, save, delete, export and import buttons
+     * @returns {HTMLElement} Preset controls element
+     */
+    createPresetControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-presets';
+
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        this.elements.presetSelect = select;
+        this.refreshPresets();
+
+        // Hidden file input behind the Import button
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file) this.importPresets(file);
+        });
+
+        const buttons = [
+            { label: 'Apply', action: () => this.actions.applyPreset(select.value) },
+            { label: 'Save…', action: () => this.savePreset() },
+            { label: 'Delete', action: () => this.deletePreset(select.value) },
+            { label: 'Export', action: () => this.exportPresets() },
+            { label: 'Import', action: () => fileInput.click() }
+        ];
+
+        wrapper.appendChild(select);
+        buttons.forEach(({ label, action }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', action);
+            wrapper.appendChild(button);
+        });
+        wrapper.appendChild(fileInput);
+        return wrapper;
+    }
+
+    /**
+     * Rebuild the preset picker's options
+     * @param {string} selectedId - Preset to select afterwards
+     */
+    refreshPresets(selectedId = this.elements.presetSelect.value) {
+        const select = this.elements.presetSelect;
+        select.innerHTML = '';
+        this.engine.presets.list().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = this.engine.presets.isBuiltIn(preset.id) ? preset.name : `${preset.name} (saved)`;
+            select.appendChild(option);
+        });
+        if (selectedId && this.engine.presets.get(selectedId)) {
+            select.value = selectedId;
+        }
+    }
+
+    /**
+     * Save the current look as a user preset under a name the user picks
+     */
+    savePreset() {
+        const name = prompt('Preset name');
+        if (!name || !name.trim()) return;
+
+        const preset = this.engine.presets.save(name.trim(), captureState(this.engine));
+        if (preset) {
+            this.refreshPresets(preset.id);
+            this.uiManager.showNotice(`Saved preset: ${preset.name}`);
+        }
+    }
+
+    /**
+     * Delete a user preset
+     * @param {string} id - Preset id
+     */
+    deletePreset(id) {
+        if (this.engine.presets.isBuiltIn(id)) {
+            this.uiManager.showNotice('Built-in presets cannot be deleted');
+            return;
+        }
+        if (this.engine.presets.delete(id)) {
+            this.refreshPresets();
+            this.uiManager.showNotice('Preset deleted');
+        }
+    }
+
+    /**
+     * Download the user's presets as a JSON file
+     */
+    exportPresets() {
+        if (this.engine.presets.userPresets.length === 0) {
+            this.uiManager.showNotice('No saved presets to export');
+            return;
+        }
+        downloadFile(this.engine.presets.exportPresets(), 'asciidelic-presets.json', 'application/json');
+    }
+
+    /**
+     * Add the presets in a JSON file to the user's library
+     * @param {File} file - Preset file chosen by the user
+     */
+    async importPresets(file) {
+        try {
+            const imported = this.engine.presets.importPresets(await file.text());
+            this.refreshPresets(imported.length > 0 ? imported[0].id : undefined);
+            this.uiManager.showNotice(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.warn('Preset import failed:', error.message);
+            this.uiManager.showNotice('Could not read the preset file');
+        }
+    }
+
+    /**
+     * Create the hue wheel and color mode dropdown
+     * @returns {HTMLElement} Color controls element
+     */
+    createColorControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-colors';
+
+        // Hue wheel: 0° at the top, increasing clockwise like the conic gradient
+        const wheel = document.createElement('div');
+        wheel.className = 'hue-wheel';
+        const marker = document.createElement('div');
+        marker.className = 'hue-wheel-marker';
+        const label = document.createElement('div');
+        label.className = 'hue-wheel-label';
+        wheel.appendChild(marker);
+        wheel.appendChild(label);
+
+        const pickHue = (event) => {
+            const rect = wheel.getBoundingClientRect();
+            const dx = event.clientX - (rect.left + rect.width / 2);
+            const dy = event.clientY - (rect.top + rect.height / 2);
+            const hue = Math.round((Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360);
+            this.engine.updateConfig({ targetHue: hue });
+        };
+        wheel.addEventListener('pointerdown', (event) => {
+            wheel.setPointerCapture(event.pointerId);
+            pickHue(event);
+        });
+        wheel.addEventListener('pointermove', (event) => {
+            if (wheel.hasPointerCapture(event.pointerId)) pickHue(event);
+        });
+
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        colorModes.forEach((mode, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = mode.name;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            const colorMode = parseInt(select.value, 10);
+            this.engine.updateConfig({ colorMode, targetColorMode: colorMode });
+        });
+
+        wrapper.appendChild(wheel);
+        wrapper.appendChild(select);
+        wrapper.appendChild(this.createPaletteControls());
+        this.elements.hueMarker = marker;
+        this.elements.hueLabel = label;
+        this.elements.colorModeSelect = select;
+        return wrapper;
+    }
+
+    /**
+     * Create the palette picker and the custom palette's color field
+     * @returns {HTMLElement} Palette controls
+     */
+    createPaletteControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-palette';
+
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        [{ id: '', name: 'No palette (color mode)' }, ...palettes].forEach(palette => {
+            const option = document.createElement('option');
+            option.value = palette.id;
+            option.textContent = palette.name;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            const palette = select.value || null;
+            this.engine.updateConfig({ palette, targetPalette: palette, paletteMix: 0 });
+        });
+
+        const custom = document.createElement('input');
+        custom.type = 'text';
+        custom.className = 'control-palette-colors';
+        custom.placeholder = '#1b2a4a #1f8a8a #ff6f59';
+        custom.addEventListener('change', () => {
+            const stops = parseColorList(custom.value);
+            if (stops.length === 0) {
+                this.uiManager.showNotice('No colors found, use #hex, rgb() or hsl()');
+                return;
+            }
+            this.engine.updateConfig({ customPalette: stops });
+        });
+
+        wrapper.appendChild(select);
+        wrapper.appendChild(custom);
+        this.elements.paletteSelect = select;
+        this.elements.customPaletteInput = custom;
+        return wrapper;
+    }
+
+    /**
+     * Create a labelled slider for a config value
+     * @param {Object} definition - Slider definition
+     * @returns {HTMLElement} Slider element
+     */
+    createSlider(definition) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'control-slider';
+
+        const name = document.createElement('span');
+        name.className = 'parameter-name';
+        name.textContent = definition.label;
+
+        const value = document.createElement('span');
+        value.className = 'parameter-value';
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = definition.min;
+        input.max = definition.max;
+        input.step = definition.step;
+        input.addEventListener('input', () => {
+            const number = parseFloat(input.value);
+            const changes = { [definition.key]: number };
+            if (definition.target) changes[definition.target] = number;
+            this.engine.updateConfig(changes);
+        });
+
+        wrapper.appendChild(name);
+        wrapper.appendChild(value);
+        wrapper.appendChild(input);
+        this.sliders[definition.key] = { definition, input, value };
+        return wrapper;
+    }
+
+    /**
+     * Create the color quantization and dithering pickers
+     * @returns {HTMLElement} Quantize controls
+     */
+    createQuantizeControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-quantize';
+
+        const createSelect = (options, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'control-select';
+            options.forEach(([value, name]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => onChange(select.value));
+            wrapper.appendChild(select);
+            return select;
+        };
+
+        this.elements.quantizeSelect = createSelect(
+            [['', 'Full color'], ...Object.entries(quantizePalettes).map(([id, palette]) => [id, palette.name])],
+            value => this.engine.updateConfig({ quantize: value || null })
+        );
+        this.elements.ditherSelect = createSelect(
+            Object.entries(ditherModes).map(([id, mode]) => [id, `Dither: ${mode.name}`]),
+            value => this.engine.updateConfig({ dither: value })
+        );
+        return wrapper;
+    }
+
+    /**
+     * Create the character set picker, the custom set's character field and the ASCII-only checkbox
+     * @returns {HTMLElement} Character controls
+     */
+    createCharacterControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-characters';
+
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        [['', "Animation's own characters"], ...Object.keys(characterSets).map(id => [id, `Characters: ${id}`])]
+            .forEach(([value, name]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        select.addEventListener('change', () => this.engine.updateConfig({ characterSet: select.value || null }));
+
+        const custom = document.createElement('input');
+        custom.type = 'text';
+        custom.className = 'control-custom-characters';
+        custom.placeholder = '.:-=+*#%@';
+        custom.addEventListener('change', () => {
+            const characters = parseCharacterList(custom.value);
+            if (characters.length === 0) {
+                this.uiManager.showNotice('Type the characters to draw with, lightest first');
+                return;
+            }
+            this.engine.updateConfig({ customCharacters: characters });
+        });
+
+        const row = document.createElement('label');
+        row.className = 'control-checkbox';
+        const ascii = document.createElement('input');
+        ascii.type = 'checkbox';
+        ascii.addEventListener('change', () => this.engine.updateConfig({ asciiOnly: ascii.checked }));
+        const text = document.createElement('span');
+        text.textContent = 'ASCII only';
+        row.appendChild(ascii);
+        row.appendChild(text);
+
+        wrapper.appendChild(select);
+        wrapper.appendChild(custom);
+        wrapper.appendChild(row);
+        this.elements.characterSetSelect = select;
+        this.elements.customCharactersInput = custom;
+        this.elements.asciiOnlyInput = ascii;
+        return wrapper;
+    }
+
+    /**
+     * Create the accessibility checkboxes
+     * @returns {HTMLElement} Accessibility controls
+     */
+    createAccessibilityControls() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-accessibility';
+
+        this.elements.accessibilityInputs = accessibilityDefinitions.map(({ key, label }) => {
+            const row = document.createElement('label');
+            row.className = 'control-checkbox';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => this.engine.updateConfig({ [key]: input.checked }));
+
+            const text = document.createElement('span');
+            text.textContent = label;
+
+            row.appendChild(input);
+            row.appendChild(text);
+            wrapper.appendChild(row);
+            return { key, input };
+        });
+        return wrapper;
+    }
+
+    /**
+     * Create the randomize and mode buttons
+     * @returns {HTMLElement} Button row
+     */
+    createButtons() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-panel-buttons';
+
+        const randomize = document.createElement('button');
+        randomize.textContent = 'Randomize';
+        randomize.addEventListener('click', () => this.actions.handleRandomize());
+
+        const mode = document.createElement('button');
+        mode.addEventListener('click', () => this.actions.handleModeToggle());
+
+        wrapper.appendChild(randomize);
+        wrapper.appendChild(mode);
+        this.elements.modeButton = mode;
+        return wrapper;
+    }
+
+    /**
+     * Show or hide the panel body
+     * @param {boolean} collapsed - Whether the panel should be collapsed (toggles when omitted)
+     */
+    toggle(collapsed = !this.isCollapsed) {
+        this.isCollapsed = collapsed;
+        this.container.classList.toggle('collapsed', collapsed);
+        if (!collapsed) this.sync(this.engine.config);
+    }
+
+    /**
+     * Update every control from the configuration
+     * Controls the user is interacting with are left alone.
+     * @param {Object} config - Current configuration
+     */
+    sync(config) {
+        const active = document.activeElement;
+
+        Object.values(this.sliders).forEach(({ definition, input, value }) => {
+            const number = config[definition.key];
+            if (number === undefined) return;
+            if (input !== active) input.value = number;
+            value.textContent = definition.step < 1 ? number.toFixed(definition.step < 0.1 ? 2 : 1) : Math.round(number);
+        });
+
+        const hue = Math.round(config.targetHue);
+        this.elements.hueMarker.style.transform = `rotate(${hue}deg)`;
+        this.elements.hueLabel.textContent = `${hue}°`;
+
+        if (this.elements.colorModeSelect !== active) {
+            this.elements.colorModeSelect.value = config.colorMode;
+        }
+        if (this.elements.paletteSelect !== active) {
+            this.elements.paletteSelect.value = config.palette || '';
+        }
+        if (this.elements.customPaletteInput !== active) {
+            this.elements.customPaletteInput.value = config.customPalette.join(' ');
+        }
+        this.elements.customPaletteInput.style.display = config.palette === CUSTOM_PALETTE ? '' : 'none';
+        if (this.elements.quantizeSelect !== active) {
+            this.elements.quantizeSelect.value = config.quantize || '';
+        }
+        if (this.elements.ditherSelect !== active) {
+            this.elements.ditherSelect.value = config.dither;
+        }
+        this.elements.ditherSelect.disabled = !config.quantize;
+        if (this.elements.characterSetSelect !== active) {
+            this.elements.characterSetSelect.value = config.characterSet || '';
+        }
+        if (this.elements.customCharactersInput !== active) {
+            this.elements.customCharactersInput.value = config.customCharacters.join('');
+        }
+        this.elements.customCharactersInput.style.display =
+            config.characterSet === CUSTOM_CHARACTER_SET ? '' : 'none';
+        this.elements.asciiOnlyInput.checked = config.asciiOnly;
+        this.elements.accessibilityInputs.forEach(({ key, input }) => {
+            input.checked = config[key];
+        });
+
+        const animation = this.animations[config.animationType];
+        if (animation && this.elements.animationSelect !== active) {
+            this.elements.animationSelect.value = config.animationType;
+        }
+        this.elements.animationDescription.textContent = animation ? animation.description : '';
+
+        this.elements.modeButton.textContent = config.isAutomatedMode ? 'Switch to Manual' : 'Switch to Automated';
+    }
+
+    /**
+     * Stop following the engine and remove the panel
+     */
+    destroy() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        this.container.innerHTML = '';
+    }
+}
@@ -1,15 +1,28 @@
 /**
  * Input Handlers - Action handlers for user input
  */
+import { captureState, copyShareLink } from '../config/persistence.js';
+import { colorModes } from '../config/defaults.js';
 
 /**
  * Create action handlers for input events
+ * Handlers only act on the engine; the UI follows through the engine's events.
  * @param {Object} engine - AsciiEngine instance
  * @param {Object} uiManager - UIManager instance
  * @param {Array} animations - Available animations
  * @returns {Object} Object with action handler methods
  */
 export function createInputHandlers(engine, uiManager, animations) {
+    // Confirm actions that have no other visible effect (not every UI can show notices)
+    const notify = (message) => {
+        if (typeof uiManager.showNotice === 'function') {
+            uiManager.showNotice(message);
+        }
+    };
+    
+    // Position in the preset list for handlePresetNext
+    let presetIndex = -1;
+    
     return {
         /**
          * Switch to the previous animation
@@ -29,6 +42,48 @@ export function createInputHandlers(engine, uiManager, animations) {
             this.changeAnimation(newIdx);
         },
         
+        /**
+         * Jump to the first animation of the previous category
+         */
+        handleCategoryPrevious() {
+            this.changeCategory(-1);
+        },
+        
+        /**
+         * Jump to the first animation of the next category
+         */
+        handleCategoryNext() {
+            this.changeCategory(1);
+        },
+        
+        /**
+         * Move to a neighbouring category, wrapping around at either end
+         * @param {number} direction - -1 for the previous category, 1 for the next
+         */
+        changeCategory(direction) {
+            const categories = [...new Set(animations.map(anim => anim.category))];
+            if (categories.length < 2) return;
+            
+            const current = animations[engine.config.animationType];
+            const currentCategory = categories.indexOf(current ? current.category : categories[0]);
+            const nextCategory = categories[(currentCategory + direction + categories.length) % categories.length];
+            this.changeAnimation(animations.findIndex(anim => anim.category === nextCategory));
+        },
+        
+        /**
+         * Skip to the next animation in the playlist
+         */
+        handlePlaylistNext() {
+            engine.nextInPlaylist();
+        },
+        
+        /**
+         * Go back to the previous animation in the playlist
+         */
+        handlePlaylistPrevious() {
+            engine.previousInPlaylist();
+        },
+        
         /**
          * Change to a specific animation
          * @param {number} index - Index of the animation to switch to
@@ -36,9 +91,7 @@ export function createInputHandlers(engine, uiManager, animations) {
         changeAnimation(index) {
             if (index < 0 || index >= animations.length) return;
             
-            engine.updateConfig({ animationType: index });
             engine.setAnimation(animations[index].id);
-            uiManager.updateAnimationDisplay(index, animations, engine.config);
         },
         
         /**
@@ -48,11 +101,7 @@ export function createInputHandlers(engine, uiManager, animations) {
             const currentMode = engine.config.isAutomatedMode;
             const newMode = !currentMode;
             
-            const configSnapshot = engine.toggleAutomatedMode(newMode);
-            uiManager.updateModeDisplay(newMode);
-            
-            const currentIdx = engine.config.animationType;
-            uiManager.updateAnimationDisplay(currentIdx, animations, engine.config);
+            engine.toggleAutomatedMode(newMode);
         },
         
         /**
@@ -62,7 +111,6 @@ export function createInputHandlers(engine, uiManager, animations) {
             if (!engine.config.isAutomatedMode) {
                 const newHue = (engine.config.targetHue + 30) % 360;
                 engine.updateConfig({ targetHue: newHue });
-                uiManager.updateParameterChange(engine.config, 'targetHue', newHue);
             }
         },
         
@@ -73,7 +121,6 @@ export function createInputHandlers(engine, uiManager, animations) {
             if (!engine.config.isAutomatedMode) {
                 const newHue = (engine.config.targetHue - 30 + 360) % 360;
                 engine.updateConfig({ targetHue: newHue });
-                uiManager.updateParameterChange(engine.config, 'targetHue', newHue);
             }
         },
         
@@ -82,9 +129,8 @@ export function createInputHandlers(engine, uiManager, animations) {
          */
         handleColorMode() {
             if (!engine.config.isAutomatedMode) {
-                const newMode = (engine.config.colorMode + 1) % 4;
+                const newMode = (engine.config.colorMode + 1) % colorModes.length;
                 engine.updateConfig({ colorMode: newMode });
-                uiManager.updateParameterChange(engine.config, 'colorMode', newMode);
             }
         },
         
@@ -95,7 +141,6 @@ export function createInputHandlers(engine, uiManager, animations) {
             if (!engine.config.isAutomatedMode) {
                 const newSpeed = Math.min(engine.config.speed + 0.1, 3.0);
                 engine.updateConfig({ speed: newSpeed });
-                uiManager.updateParameterChange(engine.config, 'speed', newSpeed);
             }
         },
         
@@ -106,7 +151,6 @@ export function createInputHandlers(engine, uiManager, animations) {
             if (!engine.config.isAutomatedMode) {
                 const newSpeed = Math.max(engine.config.speed - 0.1, 0.2);
                 engine.updateConfig({ speed: newSpeed });
-                uiManager.updateParameterChange(engine.config, 'speed', newSpeed);
             }
         },
         
@@ -117,7 +161,6 @@ export function createInputHandlers(engine, uiManager, animations) {
             if (!engine.config.isAutomatedMode) {
                 const newDensity = Math.min(engine.config.density + 0.1, 1.0);
                 engine.updateConfig({ density: newDensity });
-                uiManager.updateParameterChange(engine.config, 'density', newDensity);
             }
         },
         
@@ -128,21 +171,116 @@ export function createInputHandlers(engine, uiManager, animations) {
             if (!engine.config.isAutomatedMode) {
                 const newDensity = Math.max(engine.config.density - 0.1, 0.1);
                 engine.updateConfig({ density: newDensity });
-                uiManager.updateParameterChange(engine.config, 'density', newDensity);
             }
         },
         
+        /**
+         * Handle pause toggle
+         */
+        handlePauseToggle() {
+            engine.togglePause();
+        },
+        
+        /**
+         * Handle single-step request (advances one simulation step)
+         */
+        handleStep() {
+            if (!engine.isPaused) {
+                engine.pause();
+            }
+            engine.step(1);
+        },
+        
+        /**
+         * Handle time scale decrease (slow motion)
+         */
+        handleTimeScaleDecrease() {
+            engine.stepTimeScale(-1);
+        },
+        
+        /**
+         * Handle time scale increase (fast forward)
+         */
+        handleTimeScaleIncrease() {
+            engine.stepTimeScale(1);
+        },
+        
+        /**
+         * Handle fixed timestep toggle (60Hz steps or variable frame delta)
+         */
+        handleFixedTimestepToggle() {
+            engine.setFixedTimestep(engine.config.fixedTimestep ? 0 : 1 / 60);
+        },
+        
+        /**
+         * Handle scrubbing one second back in time
+         */
+        handleScrubBack() {
+            engine.seek(engine.time - 1);
+        },
+        
+        /**
+         * Handle scrubbing one second forward in time
+         */
+        handleScrubForward() {
+            engine.seek(engine.time + 1);
+        },
+        
+        /**
+         * Handle frame export request
+         * Saves the frame currently on screen as a standalone HTML file
+         */
+        handleExportFrame() {
+            engine.downloadFrame('html');
+        },
+        
+        /**
+         * Handle settings panel toggle
+         */
+        handleControlPanelToggle() {
+            if (typeof uiManager.toggleControlPanel === 'function') {
+                uiManager.toggleControlPanel();
+            }
+        },
+        
+        /**
+         * Switch to a preset
+         * @param {string} id - Preset id
+         */
+        applyPreset(id) {
+            if (!engine.applyPreset(id)) return;
+            
+            const presets = engine.presets.list();
+            presetIndex = presets.findIndex(preset => preset.id === id);
+            notify(`Preset: ${presets[presetIndex].name}`);
+        },
+        
+        /**
+         * Handle next preset request
+         */
+        handlePresetNext() {
+            const presets = engine.presets.list();
+            if (presets.length === 0) return;
+            this.applyPreset(presets[(presetIndex + 1) % presets.length].id);
+        },
+        
+        /**
+         * Handle share link request
+         * Copies a link that restores the current animation and settings
+         */
+        handleShareLink() {
+            copyShareLink(captureState(engine))
+                .then(() => notify('Share link copied'))
+                .catch(() => notify('Could not copy the share link'));
+        },
+        
         /**
          * Handle randomize request
          * Randomizes all parameters regardless of mode
          */
         handleRandomize() {
             if (engine.automationManager) {
-                const newParams = engine.automationManager.randomizeAllParameters();
-                
-                // Update UI to show parameters
-                const currentIdx = engine.config.animationType;
-                uiManager.updateAnimationDisplay(currentIdx, animations, engine.config);
+                engine.automationManager.randomizeAllParameters();
             }
         }
     };
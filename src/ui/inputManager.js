@@ -29,13 +29,33 @@ export class InputManager {
      * Set up keyboard and touch event listeners
      */
     setupEventListeners() {
-        // Keyboard events
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
-        document.addEventListener('keyup', this.handleKeyUp.bind(this));
+        // Outside the browser (e.g. the terminal runner) keys arrive via simulateKeyPress
+        if (typeof document === 'undefined') return;
         
-        // Touch events for mobile support
-        document.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        document.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        // Keep the bound handlers so they can be removed again
+        this.listeners = {
+            keydown: this.handleKeyDown.bind(this),
+            keyup: this.handleKeyUp.bind(this),
+            touchstart: this.handleTouchStart.bind(this), // Touch events for mobile support
+            touchend: this.handleTouchEnd.bind(this)
+        };
+        
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            document.addEventListener(type, listener);
+        });
+    }
+    
+    /**
+     * Remove the keyboard and touch event listeners
+     */
+    removeEventListeners() {
+        if (!this.listeners) return;
+        
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            document.removeEventListener(type, listener);
+        });
+        this.listeners = null;
+        this.keysPressed.clear();
     }
     
     /**
@@ -44,6 +64,7 @@ export class InputManager {
      */
     handleKeyDown(event) {
         if (event.repeat) return; // Ignore key repeat
+        if (event.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return; // Let form controls keep their keys
         
         this.keysPressed.add(event.key);
         
@@ -143,6 +164,14 @@ export class InputManager {
         // Animation navigation - always active regardless of mode
         this.bindKey('ArrowUp', this.actionHandlers.handleAnimationPrevious.bind(this.actionHandlers));
         this.bindKey('ArrowDown', this.actionHandlers.handleAnimationNext.bind(this.actionHandlers));
+        this.bindKey('PageUp', this.actionHandlers.handleCategoryPrevious.bind(this.actionHandlers));
+        this.bindKey('PageDown', this.actionHandlers.handleCategoryNext.bind(this.actionHandlers));
+        this.bindKey(',', this.actionHandlers.handleCategoryPrevious.bind(this.actionHandlers));
+        this.bindKey('.', this.actionHandlers.handleCategoryNext.bind(this.actionHandlers));
+        this.bindKey('j', this.actionHandlers.handlePlaylistNext.bind(this.actionHandlers));
+        this.bindKey('J', this.actionHandlers.handlePlaylistNext.bind(this.actionHandlers));
+        this.bindKey('k', this.actionHandlers.handlePlaylistPrevious.bind(this.actionHandlers));
+        this.bindKey('K', this.actionHandlers.handlePlaylistPrevious.bind(this.actionHandlers));
         
         // Mode toggle
         this.bindKey('m', this.actionHandlers.handleModeToggle.bind(this.actionHandlers));
@@ -152,6 +181,34 @@ export class InputManager {
         this.bindKey('r', this.actionHandlers.handleRandomize.bind(this.actionHandlers));
         this.bindKey('R', this.actionHandlers.handleRandomize.bind(this.actionHandlers));
         
+        // Settings panel
+        this.bindKey('c', this.actionHandlers.handleControlPanelToggle.bind(this.actionHandlers));
+        this.bindKey('C', this.actionHandlers.handleControlPanelToggle.bind(this.actionHandlers));
+        
+        // Cycle through presets
+        this.bindKey('o', this.actionHandlers.handlePresetNext.bind(this.actionHandlers));
+        this.bindKey('O', this.actionHandlers.handlePresetNext.bind(this.actionHandlers));
+        
+        // Copy a share link for the current look
+        this.bindKey('l', this.actionHandlers.handleShareLink.bind(this.actionHandlers));
+        this.bindKey('L', this.actionHandlers.handleShareLink.bind(this.actionHandlers));
+        
+        // Playback controls - always active regardless of mode
+        this.bindKey('p', this.actionHandlers.handlePauseToggle.bind(this.actionHandlers));
+        this.bindKey('P', this.actionHandlers.handlePauseToggle.bind(this.actionHandlers));
+        this.bindKey('n', this.actionHandlers.handleStep.bind(this.actionHandlers));
+        this.bindKey('N', this.actionHandlers.handleStep.bind(this.actionHandlers));
+        this.bindKey('[', this.actionHandlers.handleTimeScaleDecrease.bind(this.actionHandlers));
+        this.bindKey(']', this.actionHandlers.handleTimeScaleIncrease.bind(this.actionHandlers));
+        this.bindKey('{', this.actionHandlers.handleScrubBack.bind(this.actionHandlers));
+        this.bindKey('}', this.actionHandlers.handleScrubForward.bind(this.actionHandlers));
+        this.bindKey('t', this.actionHandlers.handleFixedTimestepToggle.bind(this.actionHandlers));
+        this.bindKey('T', this.actionHandlers.handleFixedTimestepToggle.bind(this.actionHandlers));
+        
+        // Export the current frame
+        this.bindKey('e', this.actionHandlers.handleExportFrame.bind(this.actionHandlers));
+        this.bindKey('E', this.actionHandlers.handleExportFrame.bind(this.actionHandlers));
+        
         // Manual mode controls
         this.bindKey('ArrowRight', this.actionHandlers.handleColorRight.bind(this.actionHandlers));
         this.bindKey('ArrowLeft', this.actionHandlers.handleColorLeft.bind(this.actionHandlers));
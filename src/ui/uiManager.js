@@ -2,33 +2,67 @@
  * UI Manager - Handles UI components and interactions
  */
 import { colorModes } from '../config/defaults.js';
+import { animationCategories } from '../animations/index.js';
+import { formatParamValue } from '../core/animationParams.js';
+
+/**
+ * Config values shown in the manual mode parameter display
+ */
+const displayedParameters = [
+    { key: 'speed', name: 'Speed', format: config => config.speed.toFixed(1) },
+    { key: 'density', name: 'Density', format: config => config.density.toFixed(1) },
+    { key: 'targetHue', name: 'Hue', format: config => Math.round(config.targetHue) + '°' },
+    { key: 'colorMode', name: 'Color Mode', format: (config, ui) => ui.getColorModeName(config.colorMode) }
+];
 
 export class UIManager {
     /**
      * Create UI Manager
      * @param {HTMLElement} container - Container element
      * @param {Function} toggleModeCallback - Callback for toggling mode
-     * @param {Function} updateAnimationInfoCallback - Callback for updating animation info
+     * @param {Function} getConfigCallback - Callback returning the current engine configuration
+     * @param {Object} animationParams - Access to the current animation's parameters
+     * @param {Function} animationParams.getSchema - Returns the parameter schema
+     * @param {Function} animationParams.getValues - Returns the parameter values
+     * @param {Function} animationParams.setValue - Sets a parameter (name, value) and returns the stored value
      */
-    constructor(container, toggleModeCallback, updateAnimationInfoCallback) {
+    constructor(container, toggleModeCallback, getConfigCallback, animationParams = null) {
         this.container = container;
         this.toggleMode = toggleModeCallback;
-        this.updateAnimationInfo = updateAnimationInfoCallback;
+        this.getConfigCallback = getConfigCallback;
+        this.animationParams = animationParams;
+        this.controlPanel = null;
+        this.noticeTimer = null;
+        this.subscriptions = []; // Unsubscribe functions for engine events
+        this.parameterValueElements = {}; // Value elements of the parameter display by config key
         
         // Store references to the DOM elements
         this.elements = {
             animationName: document.getElementById('animation-name'),
             modeDisplay: document.getElementById('mode-display'),
             keyCommands: document.getElementById('key-commands'),
-            parameterDisplay: document.getElementById('parameter-display')
+            parameterDisplay: document.getElementById('parameter-display'),
+            playbackDisplay: document.getElementById('playback-display'),
+            noticeDisplay: document.getElementById('notice-display')
         };
         
         // Store the commands by mode
         this.commandsByMode = {
             common: [
                 { key: '↑/↓', action: 'Change animation', className: 'common-command' },
+                { key: ',/.', action: 'Change pack', className: 'common-command' },
+                { key: 'J/K', action: 'Next/previous in playlist', className: 'common-command' },
                 { key: 'R', action: 'Randomize', className: 'common-command' },
-                { key: 'M', action: 'Toggle mode', className: 'common-command' }
+                { key: 'C', action: 'Settings panel', className: 'common-command' },
+                { key: 'L', action: 'Copy share link', className: 'common-command' },
+                { key: 'O', action: 'Next preset', className: 'common-command' },
+                { key: 'E', action: 'Export frame', className: 'common-command' },
+                { key: 'M', action: 'Toggle mode', className: 'common-command' },
+                { key: 'P', action: 'Pause', className: 'common-command' },
+                { key: 'N', action: 'Step', className: 'common-command' },
+                { key: '[/]', action: 'Time scale', className: 'common-command' },
+                { key: '{/}', action: 'Scrub', className: 'common-command' },
+                { key: 'T', action: 'Fixed timestep', className: 'common-command' }
             ],
             manual: [
                 { key: '←/→', action: 'Change hue', className: 'manual-command' },
@@ -39,6 +73,52 @@ export class UIManager {
         };
     }
     
+    /**
+     * Follow the engine's events to keep the display up to date
+     * @param {AsciiEngine} engine - Engine to follow
+     * @param {Array} animations - Available animations
+     */
+    connect(engine, animations) {
+        this.disconnect();
+        this.subscriptions = [
+            engine.on('animationchange', ({ index }) => {
+                this.updateAnimationDisplay(index, animations, engine.config);
+            }),
+            engine.on('modechange', ({ isAutomated }) => this.updateModeDisplay(isAutomated)),
+            engine.on('configchange', ({ keys, config }) => {
+                if (displayedParameters.some(param => keys.includes(param.key))) {
+                    this.updateParameterChange(config);
+                }
+            }),
+            engine.on('playbackchange', playback => this.updatePlaybackDisplay(playback))
+        ];
+    }
+    
+    /**
+     * Stop following the engine's events
+     */
+    disconnect() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+    }
+    
+    /**
+     * Attach the settings panel so the panel key can toggle it
+     * @param {ControlPanel} controlPanel - Settings panel
+     */
+    setControlPanel(controlPanel) {
+        this.controlPanel = controlPanel;
+    }
+    
+    /**
+     * Show or hide the settings panel
+     */
+    toggleControlPanel() {
+        if (this.controlPanel) {
+            this.controlPanel.toggle();
+        }
+    }
+    
     /**
      * Update the UI to reflect the current mode
      * @param {boolean} isAutomated - Whether we're in automated mode
@@ -57,8 +137,9 @@ export class UIManager {
         this.clearParameterDisplay();
         
         // Show parameter display if in manual mode
-        if (!isAutomated && this.elements.parameterDisplay) {
-            this.updateParameterDisplay(this.getConfig());
+        const config = this.getConfig();
+        if (!isAutomated && this.elements.parameterDisplay && config.speed !== undefined) {
+            this.updateParameterDisplay(config);
         }
     }
     
@@ -67,8 +148,8 @@ export class UIManager {
      * @returns {Object} Current configuration
      */
     getConfig() {
-        if (this.updateAnimationInfo && typeof this.updateAnimationInfo === 'function') {
-            return this.updateAnimationInfo();
+        if (typeof this.getConfigCallback === 'function') {
+            return this.getConfigCallback();
         }
         return {};
     }
@@ -118,7 +199,11 @@ export class UIManager {
     updateAnimationDisplay(index, animations, config) {
         // Update animation name
         if (this.elements.animationName && animations[index]) {
-            this.elements.animationName.textContent = animations[index].name;
+            const animation = animations[index];
+            const category = animationCategories.find(cat => cat.id === animation.category);
+            this.elements.animationName.textContent = category
+                ? `${animation.name} (${category.name})`
+                : animation.name;
         }
         
         // Update parameter display for manual mode
@@ -127,6 +212,47 @@ export class UIManager {
         }
     }
     
+    /**
+     * Update the playback status (pause, time scale, fixed timestep)
+     * @param {Object} playback - Playback state from the engine
+     */
+    updatePlaybackDisplay(playback) {
+        const playbackEl = this.elements.playbackDisplay;
+        if (!playbackEl) return;
+        
+        const parts = [];
+        if (playback.isPaused) {
+            parts.push(`Paused at ${playback.time.toFixed(2)}s`);
+        }
+        if (playback.timeScale !== 1) {
+            parts.push(`${playback.timeScale.toFixed(2)}× time`);
+        }
+        if (playback.fixedTimestep) {
+            parts.push(`Fixed ${Math.round(1 / playback.fixedTimestep)}Hz`);
+        }
+        
+        playbackEl.textContent = parts.join(' · ');
+        playbackEl.style.display = parts.length > 0 ? 'block' : 'none';
+    }
+    
+    /**
+     * Show a short-lived message, e.g. to confirm an action
+     * @param {string} message - Message text
+     * @param {number} duration - Milliseconds before it disappears
+     */
+    showNotice(message, duration = 2000) {
+        const noticeEl = this.elements.noticeDisplay;
+        if (!noticeEl) return;
+        
+        noticeEl.textContent = message;
+        noticeEl.style.display = 'block';
+        
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            noticeEl.style.display = 'none';
+        }, duration);
+    }
+    
     /**
      * Clear the parameter display
      */
@@ -135,6 +261,7 @@ export class UIManager {
             this.elements.parameterDisplay.innerHTML = '';
             this.elements.parameterDisplay.style.display = 'none';
         }
+        this.parameterValueElements = {};
     }
     
     /**
@@ -150,14 +277,8 @@ export class UIManager {
         paramEl.style.display = 'flex';
         
         // Add parameters
-        const parameters = [
-            { name: 'Speed', value: config.speed.toFixed(1) },
-            { name: 'Density', value: config.density.toFixed(1) },
-            { name: 'Hue', value: Math.round(config.targetHue) + '°' },
-            { name: 'Color Mode', value: this.getColorModeName(config.colorMode) }
-        ];
-        
-        parameters.forEach(param => {
+        this.parameterValueElements = {};
+        displayedParameters.forEach(param => {
             const paramElement = document.createElement('div');
             paramElement.className = 'parameter';
             
@@ -167,25 +288,73 @@ export class UIManager {
             
             const valueElement = document.createElement('div');
             valueElement.className = 'parameter-value';
-            valueElement.textContent = param.value;
+            valueElement.textContent = param.format(config, this);
+            this.parameterValueElements[param.key] = valueElement;
             
             paramElement.appendChild(nameElement);
             paramElement.appendChild(valueElement);
             paramEl.appendChild(paramElement);
         });
+        
+        this.addAnimationParamControls(paramEl);
+    }
+    
+    /**
+     * Add a slider for each parameter in the current animation's schema
+     * @param {HTMLElement} paramEl - Parameter display element
+     */
+    addAnimationParamControls(paramEl) {
+        if (!this.animationParams) return;
+        
+        const schema = this.animationParams.getSchema();
+        const values = this.animationParams.getValues();
+        
+        Object.entries(schema).forEach(([name, spec]) => {
+            const paramElement = document.createElement('div');
+            paramElement.className = 'parameter animation-parameter';
+            
+            const nameElement = document.createElement('div');
+            nameElement.className = 'parameter-name';
+            nameElement.textContent = spec.label || name;
+            
+            const valueElement = document.createElement('div');
+            valueElement.className = 'parameter-value';
+            valueElement.textContent = formatParamValue(spec, values[name]);
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'parameter-slider';
+            slider.min = spec.min;
+            slider.max = spec.max;
+            slider.step = spec.step || 'any';
+            slider.value = values[name];
+            slider.addEventListener('input', () => {
+                const value = this.animationParams.setValue(name, slider.value);
+                valueElement.textContent = formatParamValue(spec, value);
+            });
+            
+            paramElement.appendChild(nameElement);
+            paramElement.appendChild(valueElement);
+            paramElement.appendChild(slider);
+            paramEl.appendChild(paramElement);
+        });
     }
     
     /**
      * Update UI when a parameter changes
+     * Values are updated in place, so sliders in the display keep their focus.
      * @param {Object} config - Current configuration
-     * @param {string} paramName - Name of the parameter that changed
-     * @param {*} value - New value of the parameter
      */
-    updateParameterChange(config, paramName, value) {
+    updateParameterChange(config) {
         // Only update parameter display in manual mode
-        if (!config.isAutomatedMode) {
-            this.updateParameterDisplay(config);
-        }
+        if (config.isAutomatedMode) return;
+        
+        displayedParameters.forEach(param => {
+            const valueElement = this.parameterValueElements[param.key];
+            if (valueElement) {
+                valueElement.textContent = param.format(config, this);
+            }
+        });
     }
     
     /**
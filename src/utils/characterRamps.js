@@ -0,0 +1,437 @@
+/**
+ * Character Ramps - Character sets, and their glyphs ordered from the least to the most ink
+ *
+ * Animations ask for a glyph by brightness instead of indexing into a flat character list:
+ *   characters.at('stars', value)            // value 0 is the lightest star, 1 the heaviest
+ *   characters.at(['blocks', 'math'], value) // several sets merged into one ramp
+ *   characters.at(ALL_CHARACTERS, value)     // every character of the original sets
+ * measure() rasterizes the glyphs in the current font, sorts every ramp by ink coverage and
+ * drops glyphs the font cannot show. Until then (or without a canvas, as in plain Node) ramps
+ * keep the order the sets list them in.
+ *
+ * config.characterSet makes every animation draw from one set instead of its own, and
+ * config.asciiOnly maps every glyph to printable 7-bit ASCII.
+ */
+
+// Pseudo set name for a ramp over every character
+export const ALL_CHARACTERS = 'all';
+
+// Id of the set whose characters come from config.customCharacters
+export const CUSTOM_CHARACTER_SET = 'custom';
+
+// Font size glyphs are measured at, in pixels
+const MEASURE_SIZE = 32;
+
+// Glyphs wider than this many cells are double-width in the font and break the grid
+const MAX_GLYPH_WIDTH = 1.5;
+
+// A code point no font has a glyph for, drawn to learn what a missing glyph looks like
+const MISSING_GLYPH = '\u{10FFFD}';
+
+// Stand-in for glyphs without an ASCII look-alike
+const ASCII_FALLBACK = '*';
+
+/**
+ * ASCII look-alikes: each ASCII character with the glyphs it stands in for
+ */
+const asciiEquivalents = {
+    '.': '·∙․⋅⋯◌⚬◦',
+    ',': '▖▗',
+    "'": '▘▝',
+    ':': '⁘⁙⁚⋮░',
+    '-': '─',
+    '_': '▄',
+    '"': '▀',
+    '|': '│⇅',
+    '/': '╱⋰↗↙▞',
+    '\\': '╲⋱↖↘▚',
+    '+': '╭╮╯╰┌┐└┘├┤┬┴┼◇⟡⟢⟣⟤⟥✦✧',
+    '[': '▌⎕',
+    ']': '▐',
+    '(': '◖',
+    ')': '◗',
+    '<': '←⇠↞↢⇇',
+    '>': '→⇢↠↣',
+    '^': '↑⇡⟰⇈⏏',
+    'v': '↓⇣⟱',
+    '~': '∿≈≋↭↝⌥',
+    '=': '≣≡⇄⇆⌦⌫⍯',
+    '%': '▒',
+    '#': '▓▙▛▜▟≢⌘◙',
+    '@': '█●◉⊚⦿⨀⬤❂⟲⟳↺↻',
+    'o': '○•',
+    'O': '◎◐◑◒◓◔◕◍⊙◯⦾⬠⬡⎔◴◵◶◷',
+    '$': '◈◆⬖⬗⬘⬙♦',
+    '&': '✿❀❁❃✾♠♣♥♡☘♧☁',
+    '*': '✩✪✫✬✭✮✯✱✲✳✴✵✶✷✸✹✺✻✼❇❈❉❊❋✽❆❅❄⁂★☆⊛',
+    'x': '※╳',
+    'z': '↯',
+    '8': '∞⚭⚮',
+    'A': '∆∀',
+    'V': '∇',
+    'd': '∂',
+    'E': '∃∄∑',
+    'n': '∏',
+    'u': '∐'
+};
+
+// ASCII look-alike by glyph
+const asciiMap = new Map();
+Object.entries(asciiEquivalents).forEach(([ascii, glyphs]) => {
+    Array.from(glyphs).forEach(glyph => asciiMap.set(glyph, ascii));
+});
+
+/**
+ * Character sets used in animations, by id
+ */
+export const characterSets = {
+    // Light dots and points
+    dots: ['·', '∙', '•', '․', '⁘', '⁙', '⁚', '⋮', '⋯', '⋰', '⋱'],
+
+    // Block elements with increasing density
+    blocks: ['░', '▒', '▓', '█', '▄', '▀', '▌', '▐', '▖', '▗', '▘', '▙', '▚', '▛', '▜', '▝', '▞', '▟'],
+
+    // Box drawing elements
+    boxDrawing: ['╭', '╮', '╯', '╰', '│', '─', '┌', '┐', '└', '┘', '├', '┤', '┬', '┴', '┼', '╱', '╲', '╳'],
+
+    // Stars, asterisks, sparks
+    stars: ['✦', '✧', '✩', '✪', '✫', '✬', '✭', '✮', '✯', '✱', '✲', '✳', '✴', '✵', '✶', '✷', '✸', '✹', '✺', '✻', '✼'],
+
+    // Rounded elements and circles
+    circles: ['◌', '○', '◎', '●', '◐', '◑', '◒', '◓', '◔', '◕', '◖', '◗', '◍', '◉', '⊙', '⊚', '⊛', '❀', '❁'],
+
+    // Diamonds and geometric
+    geometric: ['◇', '◈', '◆', '⟡', '⟢', '⟣', '⟤', '⟥', '⬖', '⬗', '⬘', '⬙', '⬠', '⬡'],
+
+    // Ornate shapes and florals
+    ornate: ['✿', '❀', '❁', '❂', '❃', '❇', '❈', '❉', '❊', '❋', '✽', '✾', '✿', '❆', '❅', '❄'],
+
+    // Miscellaneous special symbols
+    special: ['♦', '♠', '♣', '♥', '⁂', '※', '⌘', '⌥', '⌦', '⌫', '⏏', '⎔', '⎕', '⍯', '⟰', '⟱', '⟲', '⟳'],
+
+    // Arrows and motion indicators
+    arrows: ['↖', '↗', '↘', '↙', '↭', '↝', '↞', '↠', '↢', '↣', '↭', '↯', '↺', '↻', '⇄', '⇅', '⇆', '⇇', '⇈'],
+
+    // Mathematical and currency
+    math: ['∞', '∆', '∇', '∂', '∀', '∃', '∄', '∑', '∏', '∐'],
+
+    // Wave/ripple like
+    waves: ['∿', '≈', '≋', '≣', '≡', '≢'],
+
+    // Plain 7-bit ASCII, from light to heavy
+    ascii: ['.', ',', ':', ';', '-', '~', '+', '=', '*', '?', '%', '$', '#', '&', '@'],
+
+    // The user's own characters (config.customCharacters)
+    [CUSTOM_CHARACTER_SET]: []
+};
+
+/**
+ * Sets ALL_CHARACTERS merges, pinned so that registering more sets never changes
+ * what animations drawing from every character look like
+ */
+const ALL_CHARACTER_SET_IDS = [
+    'dots', 'blocks', 'boxDrawing', 'stars', 'circles', 'geometric', 'ornate', 'special', 'arrows', 'math', 'waves'
+];
+
+/**
+ * Character sets animations keep for themselves, by id
+ * They are neither selectable with config.characterSet nor part of ALL_CHARACTERS.
+ */
+export const animationCharacterSets = {};
+
+/**
+ * Split text into the glyphs of a character set
+ * Whitespace, control characters and repeats are dropped.
+ * @param {Array|string} text - Characters, as a string or an array of strings
+ * @returns {Array} Glyphs
+ */
+export function parseCharacterList(text) {
+    const glyphs = Array.isArray(text)
+        ? text.flatMap(entry => Array.from(String(entry)))
+        : Array.from(String(text));
+    return [...new Set(glyphs.filter(glyph => /^[^\s\p{Cc}]$/u.test(glyph)))];
+}
+
+/**
+ * Register a character set
+ * Registered sets show up in the character set picker and can be chosen with config.characterSet.
+ * @param {string} id - Unique identifier
+ * @param {Array|string} characters - Glyphs of the set
+ * @returns {boolean} Whether the set was registered
+ */
+export function registerCharacterSet(id, characters) {
+    return addCharacterSet(characterSets, id, characters);
+}
+
+/**
+ * Register a character set for an animation's own use
+ * Unlike registerCharacterSet(), the set is not offered to the user and stays out of ALL_CHARACTERS.
+ * @param {string} id - Unique identifier
+ * @param {Array|string} characters - Glyphs of the set
+ * @returns {boolean} Whether the set was registered
+ */
+export function registerAnimationCharacterSet(id, characters) {
+    return addCharacterSet(animationCharacterSets, id, characters);
+}
+
+/**
+ * Validate a character set and add it to a registry
+ * @param {Object} registry - characterSets or animationCharacterSets
+ * @param {string} id - Unique identifier, across both registries
+ * @param {Array|string} characters - Glyphs of the set
+ * @returns {boolean} Whether the set was added
+ */
+function addCharacterSet(registry, id, characters) {
+    if (typeof id !== 'string' || !id || id === ALL_CHARACTERS) {
+        console.warn(`Invalid character set id: ${id}`);
+        return false;
+    }
+    if (characterSets[id] || animationCharacterSets[id]) {
+        console.warn(`Character set '${id}' is already registered`);
+        return false;
+    }
+    const glyphs = parseCharacterList(characters);
+    if (glyphs.length === 0) {
+        console.warn(`Character set '${id}' has no characters`);
+        return false;
+    }
+    registry[id] = glyphs;
+    return true;
+}
+
+/**
+ * Get the printable ASCII look-alike of a glyph
+ * @param {string} glyph - Character
+ * @returns {string} The glyph itself if it is printable ASCII, otherwise a stand-in
+ */
+export function toAscii(glyph) {
+    const code = glyph.charCodeAt(0);
+    if (glyph.length === 1 && code >= 0x20 && code <= 0x7e) return glyph;
+    return asciiMap.get(glyph) || ASCII_FALLBACK;
+}
+
+/**
+ * Create a canvas to measure glyphs on
+ * @param {number} size - Canvas width and height in pixels
+ * @param {Function} createCanvas - Optional canvas factory (width, height) => canvas
+ * @returns {Object|null} Canvas, or null when none is available
+ */
+function createMeasureCanvas(size, createCanvas) {
+    if (typeof createCanvas === 'function') {
+        return createCanvas(size, size);
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(size, size);
+    }
+    if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+    return null;
+}
+
+/**
+ * Rasterize a glyph and describe its ink
+ * @param {Object} measurer - Context set up with the font, centered text and a white fill, with its canvas size and cell metrics
+ * @param {string} glyph - Character to measure
+ * @returns {Object} Coverage (about 1 for a full block), a fingerprint of the pixels and the width in cells
+ */
+function measureGlyph(measurer, glyph) {
+    const { ctx, size, cellWidth, cellArea } = measurer;
+    ctx.clearRect(0, 0, size, size);
+    ctx.fillText(glyph, size / 2, size / 2);
+
+    const { data } = ctx.getImageData(0, 0, size, size);
+    let ink = 0;
+    let fingerprint = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        ink += data[i];
+        fingerprint = (fingerprint * 31 + data[i]) | 0;
+    }
+    return {
+        coverage: ink / 255 / cellArea,
+        fingerprint,
+        width: ctx.measureText(glyph).width / cellWidth
+    };
+}
+
+export class CharacterRamps {
+    /**
+     * Create ramps for character sets
+     * @param {Object} sets - Character arrays by set id (see characterSets)
+     * @param {Object} animationSets - Character arrays animations keep for themselves (see animationCharacterSets)
+     */
+    constructor(sets = characterSets, animationSets = animationCharacterSets) {
+        this.sets = sets;
+        this.animationSets = animationSets;
+        this.measurer = null; // Canvas context and metrics of the measured font
+        this.missingGlyph = null; // How the font draws a glyph it does not have
+        this.coverage = null; // Ink coverage by glyph, once measured
+        this.unsupported = new Set(); // Glyphs the font cannot show
+        this.font = null; // Font family the coverage was measured in
+        this.ramps = new Map(); // Sorted ramps by set key
+        this.rampsMissGlyphs = false; // Whether a ramp in use has glyphs the font cannot show
+
+        // Character settings from the config
+        this.characterSet = null; // Set every animation draws from, or null for their own
+        this.customCharacters = [];
+        this.asciiOnly = false;
+    }
+
+    /**
+     * Update the character settings
+     * @param {Object} config - Configuration with characterSet, customCharacters and asciiOnly
+     * @param {Array} changedKeys - Config keys that changed (defaults to every key of config)
+     */
+    updateConfig(config, changedKeys = Object.keys(config)) {
+        let changed = false;
+        ['characterSet', 'asciiOnly'].forEach(key => {
+            if (config[key] !== undefined && config[key] !== this[key]) {
+                this[key] = config[key];
+                changed = true;
+            }
+        });
+        if (config.customCharacters !== undefined && changedKeys.includes('customCharacters')) {
+            // An empty list would blank the display, so the current characters stay
+            const characters = parseCharacterList(config.customCharacters);
+            if (characters.length === 0) {
+                console.warn('Ignoring empty custom character list');
+            } else if (characters.join('') !== this.customCharacters.join('')) {
+                this.customCharacters = characters;
+                changed = true;
+            }
+        }
+        if (changed) this.clearRamps();
+    }
+
+    /**
+     * Forget the built ramps, so they are rebuilt with the current settings and measurements
+     */
+    clearRamps() {
+        this.ramps.clear();
+        this.rampsMissGlyphs = false;
+    }
+
+    /**
+     * Measure every glyph in a font, sort the ramps by ink coverage and drop glyphs the font cannot show
+     * @param {string} fontFamily - CSS font family the glyphs are shown in
+     * @param {Function} createCanvas - Optional canvas factory (width, height) => canvas, e.g. in Node
+     * @returns {boolean} True if the glyphs could be measured
+     */
+    measure(fontFamily = 'monospace', createCanvas = null) {
+        // Leave room around the cell for glyphs that overflow it
+        const size = MEASURE_SIZE * 2;
+        const canvas = createMeasureCanvas(size, createCanvas);
+        const ctx = canvas && typeof canvas.getContext === 'function' && canvas.getContext('2d', { willReadFrequently: true });
+        if (!ctx) return false;
+
+        ctx.font = `${MEASURE_SIZE}px ${fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        const cellWidth = Math.max(1, ctx.measureText('M').width);
+        this.measurer = { ctx, size, cellWidth, cellArea: cellWidth * MEASURE_SIZE };
+        this.missingGlyph = measureGlyph(this.measurer, MISSING_GLYPH);
+
+        this.coverage = new Map();
+        this.unsupported.clear();
+        [...Object.values(this.sets), ...Object.values(this.animationSets)].flat()
+            .forEach(glyph => this.isSupported(glyph));
+
+        this.font = fontFamily;
+        this.clearRamps();
+        return true;
+    }
+
+    /**
+     * Check whether the measured font can show a glyph, measuring it the first time
+     * A glyph is unsupported when it draws nothing, draws like a missing glyph or is double-width.
+     * @param {string} glyph - Character
+     * @returns {boolean} True if the glyph can be shown, or no font has been measured
+     */
+    isSupported(glyph) {
+        if (!this.measurer || glyph === ' ') return true;
+        if (!this.coverage.has(glyph)) {
+            const { coverage, fingerprint, width } = measureGlyph(this.measurer, glyph);
+            const missing = this.missingGlyph.coverage > 0 && fingerprint === this.missingGlyph.fingerprint;
+            if (coverage === 0 || missing || width > MAX_GLYPH_WIDTH) {
+                this.unsupported.add(glyph);
+            }
+            this.coverage.set(glyph, coverage);
+        }
+        return !this.unsupported.has(glyph);
+    }
+
+    /**
+     * Get the glyph to show for one an animation drew
+     * @param {string} glyph - Character
+     * @returns {string} The glyph, or its ASCII look-alike in ASCII-only mode or when the font cannot show it
+     */
+    displayCharacter(glyph) {
+        if (this.asciiOnly || !this.isSupported(glyph)) return toAscii(glyph);
+        return glyph;
+    }
+
+    /**
+     * Check whether displayCharacter may replace glyphs, so the display stage can be skipped
+     * @returns {boolean} True in ASCII-only mode, or when the ramps in use have glyphs the font cannot show
+     */
+    replacesCharacters() {
+        return this.asciiOnly || this.rampsMissGlyphs;
+    }
+
+    /**
+     * Get a ramp, from the least to the most ink
+     * With config.characterSet chosen, that set's ramp is returned whatever was asked for.
+     * @param {string|Array} set - Set id, ALL_CHARACTERS, or several set ids to merge
+     * @returns {Array} Characters, without duplicates
+     */
+    ramp(set) {
+        if (this.characterSet) set = this.characterSet;
+        const key = Array.isArray(set) ? set.join('+') : set;
+        let ramp = this.ramps.get(key);
+        if (ramp) return ramp;
+
+        const ids = set === ALL_CHARACTERS ? ALL_CHARACTER_SET_IDS : [].concat(set);
+        ramp = [...new Set(ids.flatMap(id => {
+            if (id === CUSTOM_CHARACTER_SET) return this.customCharacters;
+            const glyphs = this.sets[id] || this.animationSets[id];
+            if (!glyphs) {
+                console.warn(`Unknown character set: ${id}`);
+                return [];
+            }
+            return glyphs;
+        }))];
+
+        if (this.measurer) {
+            // Array sort is stable, so glyphs with equal coverage keep their listed order
+            const supported = ramp.filter(glyph => this.isSupported(glyph));
+            if (supported.length < ramp.length) this.rampsMissGlyphs = true;
+            ramp = (supported.length > 0 ? supported : ramp)
+                .sort((a, b) => this.coverage.get(a) - this.coverage.get(b));
+        }
+        // Look-alikes keep the place of the glyphs they stand in for
+        if (this.asciiOnly || ramp.some(glyph => !this.isSupported(glyph))) {
+            ramp = [...new Set(ramp.map(glyph => this.displayCharacter(glyph)))];
+        }
+
+        this.ramps.set(key, ramp);
+        return ramp;
+    }
+
+    /**
+     * Get the glyph at a brightness
+     * @param {string|Array} set - Set id, ALL_CHARACTERS, or several set ids to merge
+     * @param {number} value - Brightness from 0 (least ink) to 1 (most ink), clamped
+     * @returns {string} Character, or a space if the set is empty
+     */
+    at(set, value) {
+        const ramp = this.ramp(set);
+        if (ramp.length === 0) return ' ';
+
+        const t = Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+        return ramp[Math.min(ramp.length - 1, Math.floor(t * ramp.length))];
+    }
+}
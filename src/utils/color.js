@@ -1,105 +1,107 @@
 /**
- * Color.js - Color utility functions and color management
+ * Color.js - Color utility functions
  */
-export class ColorManager {
-    /**
-     * Create a new color manager
-     * @param {Object} config - Color configuration
-     */
-    constructor(config) {
-        this.baseHue = config.baseHue || 180;
-        this.targetHue = config.targetHue || 180;
-        this.hueTransitionSpeed = config.hueTransitionSpeed || 0.05;
-        this.colorMode = config.colorMode || 0;
-        this.saturation = config.saturation || 100;
-        this.lightness = config.lightness || 50;
-    }
 
-    /**
-     * Update color configuration
-     * @param {Object} config - New configuration
-     */
-    updateConfig(config) {
-        if (config.targetHue !== undefined) {
-            this.targetHue = config.targetHue;
-        }
-        if (config.hueTransitionSpeed !== undefined) {
-            this.hueTransitionSpeed = config.hueTransitionSpeed;
-        }
-        if (config.colorMode !== undefined) {
-            this.colorMode = config.colorMode;
-        }
-        if (config.saturation !== undefined) {
-            this.saturation = config.saturation;
-        }
-        if (config.lightness !== undefined) {
-            this.lightness = config.lightness;
-        }
+/**
+ * Convert an HSL color to RGB
+ * @param {number} hue - Hue (0-360, wraps)
+ * @param {number} saturation - Saturation (0-100)
+ * @param {number} lightness - Lightness (0-100)
+ * @returns {Object} RGB color with r, g, b in 0-255
+ */
+export function hslToRgb(hue, saturation, lightness) {
+    const h = (((hue % 360) + 360) % 360) / 360;
+    const s = Math.max(0, Math.min(100, saturation)) / 100;
+    const l = Math.max(0, Math.min(100, lightness)) / 100;
+    
+    if (s === 0) {
+        const gray = Math.round(l * 255);
+        return { r: gray, g: gray, b: gray };
     }
+    
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hueToChannel = (t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    
+    return {
+        r: Math.round(hueToChannel(h + 1 / 3) * 255),
+        g: Math.round(hueToChannel(h) * 255),
+        b: Math.round(hueToChannel(h - 1 / 3) * 255)
+    };
+}
 
-    /**
-     * Update color state
-     * @param {number} deltaTime - Time since last update in seconds
-     */
-    update(deltaTime) {
-        // Smoothly transition between target and current hue
-        if (this.baseHue !== this.targetHue) {
-            const step = this.hueTransitionSpeed;
-            if (Math.abs(this.baseHue - this.targetHue) < step) {
-                this.baseHue = this.targetHue;
-            } else if (this.baseHue < this.targetHue) {
-                this.baseHue += step;
-            } else {
-                this.baseHue -= step;
-            }
-        }
+/**
+ * Convert an RGB color to HSL
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} HSL color with hue (0-360), saturation and lightness (0-100)
+ */
+export function rgbToHsl(r, g, b) {
+    const red = r / 255;
+    const green = g / 255;
+    const blue = b / 255;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+    
+    if (max === min) {
+        return { hue: 0, saturation: 0, lightness: lightness * 100 };
     }
+    
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let hue;
+    if (max === red) {
+        hue = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        hue = (blue - red) / delta + 2;
+    } else {
+        hue = (red - green) / delta + 4;
+    }
+    
+    return { hue: hue * 60, saturation: saturation * 100, lightness: lightness * 100 };
+}
 
-    /**
-     * Calculate hue based on color mode and parameters
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @param {number} distance - Distance from center
-     * @param {number} value - Value between 0 and 1
-     * @param {number} time - Current time
-     * @returns {number} Calculated hue (0-360)
-     */
-    getHue(x, y, distance, value, time = 0) {
-        switch(this.colorMode) {
-            case 0: // Vibrant Rainbow - full spectrum with time variation
-                return (this.baseHue + distance * 5 + time * 10 + Math.sin(time * 2) * 30) % 360;
-            case 1: // Multi-Color Gradient - vibrant spread
-                return (this.baseHue + value * 120 + time * 5) % 360; // 120 degree spread
-            case 2: // Triadic - base hue plus two colors evenly spaced
-                // Use distance to determine which of the three colors to use
-                const segment = Math.floor(value * 3);
-                return (this.baseHue + segment * 120 + time * 3) % 360;
-            case 3: // Color Wave - undulating colors
-                return (this.baseHue + Math.sin(distance + time) * 60 + time * 15) % 360;
-            default:
-                return (this.baseHue + Math.sin(time) * 30) % 360;
+/**
+ * Parse a CSS-style color
+ * Accepts '#rgb', '#rrggbb', 'rgb(r, g, b)', 'hsl(h, s%, l%)', { r, g, b } and { hue, saturation, lightness }.
+ * @param {string|Object} color - Color to parse
+ * @returns {Object|null} RGB color with r, g, b in 0-255, or null if it cannot be parsed
+ */
+export function parseColor(color) {
+    if (color && typeof color === 'object') {
+        if ([color.r, color.g, color.b].every(Number.isFinite)) {
+            return { r: color.r, g: color.g, b: color.b };
+        }
+        if ([color.hue, color.saturation, color.lightness].every(Number.isFinite)) {
+            return hslToRgb(color.hue, color.saturation, color.lightness);
         }
+        return null;
     }
-
-    /**
-     * Get color as HSL string
-     * @param {number} hue - Hue (0-360)
-     * @param {number} saturation - Saturation (0-100)
-     * @param {number} lightness - Lightness (0-100)
-     * @returns {string} HSL color string
-     */
-    getHslString(hue, saturation = this.saturation, lightness = this.lightness) {
-        return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    if (typeof color !== 'string') return null;
+    
+    const text = color.trim().toLowerCase();
+    const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const value = parseInt(digits, 16);
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
     }
-
-    /**
-     * Create a color object
-     * @param {number} hue - Hue (0-360)
-     * @param {number} saturation - Saturation (0-100)
-     * @param {number} lightness - Lightness (0-100)
-     * @returns {Object} Color object
-     */
-    createColor(hue, saturation = this.saturation, lightness = this.lightness) {
-        return { hue, saturation, lightness };
+    
+    const functional = text.match(/^(rgb|hsl)\(\s*([\d.]+)\s*,\s*([\d.]+)%?\s*,\s*([\d.]+)%?\s*\)$/);
+    if (functional) {
+        const [a, b, c] = functional.slice(2).map(Number);
+        return functional[1] === 'rgb'
+            ? { r: Math.min(255, a), g: Math.min(255, b), b: Math.min(255, c) }
+            : hslToRgb(a, b, c);
     }
-}
\ No newline at end of file
+    return null;
+}
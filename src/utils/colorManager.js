@@ -1,51 +1,285 @@
 /**
- * Color Manager - Handles color calculations for animations
+ * Color Manager - Color modes, palettes and per-cell color calculation for animations
+ *
+ * A color mode maps a cell to a hue:
+ *   { id, name, description, hue(baseHue, x, y, distance, value, time) }
+ * config.colorMode is an index into `colorModes`; registerColorMode() adds new ones.
+ * When config.palette names a palette (see palettes.js), getColor() samples it instead.
+ * In colorblind-safe mode only palettes marked colorblindSafe are used, whatever is chosen.
  */
+import { rgbToHsl } from './color.js';
+import {
+    CUSTOM_PALETTE, COLORBLIND_SAFE_PALETTE, getPalette, preparePalette, samplePalette, mixRgb
+} from './palettes.js';
+
+// How much slower color modes cycle their hues while reduced motion is on
+const REDUCED_MOTION_COLOR_TIME = 0.25;
+
+/**
+ * Registered color modes, in config.colorMode order
+ */
+export const colorModes = [];
+
+/**
+ * Register a color mode
+ * @param {Object} mode - Color mode
+ * @param {string} mode.id - Unique identifier
+ * @param {string} mode.name - Display name
+ * @param {string} mode.description - Short description
+ * @param {Function} mode.hue - (baseHue, x, y, distance, value, time) => hue in degrees
+ * @returns {number} Index of the mode, for config.colorMode
+ */
+export function registerColorMode(mode) {
+    if (!mode || typeof mode.hue !== 'function') {
+        console.warn('Color mode needs a hue function');
+        return -1;
+    }
+    const existing = colorModes.findIndex(entry => entry.id === mode.id);
+    if (existing !== -1) {
+        console.warn(`Color mode '${mode.id}' is already registered`);
+        return existing;
+    }
+    colorModes.push(mode);
+    return colorModes.length - 1;
+}
+
+registerColorMode({
+    id: 'vibrantRainbow',
+    name: 'Vibrant Rainbow',
+    description: 'Full spectrum with dynamic variations',
+    hue: (baseHue, x, y, distance, value, time) => baseHue + distance * 5 + time * 10 + Math.sin(time * 2) * 30
+});
+
+registerColorMode({
+    id: 'multiGradient',
+    name: 'Multi-Color',
+    description: 'Wide gradient with time effects',
+    hue: (baseHue, x, y, distance, value, time) => baseHue + value * 120 + time * 5 // 120 degree spread
+});
+
+registerColorMode({
+    id: 'triadic',
+    name: 'Triadic',
+    description: 'Three evenly spaced colors',
+    hue: (baseHue, x, y, distance, value, time) => baseHue + Math.floor(value * 3) * 120 + time * 3
+});
+
+registerColorMode({
+    id: 'colorWave',
+    name: 'Color Wave',
+    description: 'Undulating wave of vibrant colors',
+    hue: (baseHue, x, y, distance, value, time) => baseHue + Math.sin(distance + time) * 60 + time * 15
+});
+
+registerColorMode({
+    id: 'rainbow',
+    name: 'Rainbow',
+    description: 'Full spectrum rings around the center',
+    hue: (baseHue, x, y, distance, value, time) => baseHue + distance * 5 + time * 10
+});
+
+registerColorMode({
+    id: 'monochrome',
+    name: 'Monochrome',
+    description: 'A single hue',
+    hue: (baseHue) => baseHue
+});
+
+registerColorMode({
+    id: 'complementary',
+    name: 'Complementary',
+    description: 'The base hue and its opposite',
+    hue: (baseHue, x, y, distance, value) => value > 0.5 ? baseHue : baseHue + 180
+});
+
+registerColorMode({
+    id: 'gradient',
+    name: 'Gradient',
+    description: 'Narrow gradient from the base hue',
+    hue: (baseHue, x, y, distance, value) => baseHue + value * 60 // 60 degree spread
+});
 
 export class ColorManager {
     /**
      * Create a new color manager
-     * @param {Object} config - Animation configuration
+     * @param {Object} config - Color configuration
      */
     constructor(config) {
-        this.config = config;
+        this.baseHue = config.baseHue || 180;
+        this.targetHue = config.targetHue || 180;
+        this.hueTransitionSpeed = config.hueTransitionSpeed || 0.05;
+        this.colorMode = config.colorMode || 0;
         this.saturation = config.saturation || 100;
+        this.lightness = config.lightness || 50;
+        
+        this.colorTimeScale = 1; // Slows the color modes down for reduced motion
+        
+        // Palettes, or null for the hue-based color modes
+        this.preparedPalettes = new Map(); // Parsed palettes by id
+        this.customStops = null;
+        this.colorblindSafe = false;
+        this.paletteIds = { palette: null, targetPalette: null }; // Chosen palette ids
+        this.palette = null;
+        this.targetPalette = null; // Palette being crossfaded to
+        this.paletteMix = 0; // Crossfade progress towards targetPalette (0-1)
+        this.updateConfig(config);
+    }
+
+    /**
+     * Update color configuration
+     * @param {Object} config - New configuration
+     */
+    updateConfig(config) {
+        if (config.targetHue !== undefined) {
+            this.targetHue = config.targetHue;
+        }
+        if (config.hueTransitionSpeed !== undefined) {
+            this.hueTransitionSpeed = config.hueTransitionSpeed;
+        }
+        if (config.colorMode !== undefined) {
+            this.colorMode = config.colorMode;
+        }
+        if (config.saturation !== undefined) {
+            this.saturation = config.saturation;
+        }
+        if (config.lightness !== undefined) {
+            this.lightness = config.lightness;
+        }
+        if (config.reducedMotion !== undefined) {
+            this.colorTimeScale = config.reducedMotion ? REDUCED_MOTION_COLOR_TIME : 1;
+        }
+        if (config.customPalette !== undefined && config.customPalette !== this.customStops) {
+            this.customStops = config.customPalette;
+            this.preparedPalettes.delete(CUSTOM_PALETTE);
+        }
+        if (config.colorblindSafe !== undefined) {
+            this.colorblindSafe = config.colorblindSafe;
+        }
+        if (config.palette !== undefined) {
+            this.paletteIds.palette = config.palette;
+        }
+        if (config.targetPalette !== undefined) {
+            this.paletteIds.targetPalette = config.targetPalette;
+        }
+        if (config.paletteMix !== undefined) {
+            this.paletteMix = config.paletteMix;
+        }
+        this.palette = this.resolvePalette(this.getSafePaletteId(this.paletteIds.palette));
+        this.targetPalette = this.resolvePalette(this.getSafePaletteId(this.paletteIds.targetPalette));
+    }
+
+    /**
+     * Swap a palette that is not colorblind-safe (or none) for the safe default in colorblind-safe mode
+     * @param {string|null} id - Chosen palette id
+     * @returns {string|null} Palette id to use
+     */
+    getSafePaletteId(id) {
+        if (!this.colorblindSafe) return id;
+        const palette = id && getPalette(id);
+        return palette && palette.colorblindSafe ? id : COLORBLIND_SAFE_PALETTE;
+    }
+
+    /**
+     * Get a parsed palette, parsing it on first use
+     * @param {string|null} id - Palette identifier
+     * @returns {Object|null} Prepared palette, or null for none
+     */
+    resolvePalette(id) {
+        if (!id) return null;
+        if (!this.preparedPalettes.has(id)) {
+            const palette = getPalette(id);
+            if (!palette) {
+                console.warn(`Unknown palette: ${id}`);
+            }
+            const stops = id === CUSTOM_PALETTE ? this.customStops : palette && palette.stops;
+            this.preparedPalettes.set(id, palette ? preparePalette(stops, palette.stepped) : null);
+        }
+        return this.preparedPalettes.get(id);
     }
 
     /**
-     * Update configuration
-     * @param {Object} newConfig - Updated configuration
+     * Update color state
+     * @param {number} deltaTime - Time since last update in seconds
      */
-    updateConfig(newConfig) {
-        Object.assign(this.config, newConfig);
-        this.saturation = this.config.saturation;
+    update(deltaTime) {
+        // Smoothly transition between target and current hue
+        if (this.baseHue !== this.targetHue) {
+            const step = this.hueTransitionSpeed;
+            if (Math.abs(this.baseHue - this.targetHue) < step) {
+                this.baseHue = this.targetHue;
+            } else if (this.baseHue < this.targetHue) {
+                this.baseHue += step;
+            } else {
+                this.baseHue -= step;
+            }
+        }
     }
 
     /**
-     * Calculate hue based on color mode and position
+     * Calculate hue based on color mode and parameters
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {number} distance - Distance value (e.g. from center)
-     * @param {number} value - Normalized animation value (0-1)
-     * @param {number} time - Current time in seconds
-     * @returns {number} Hue value (0-360)
-     */
-    getHue(x, y, distance, value, time) {
-        // Ensure we're working with current config values
-        const baseHue = this.config.baseHue;
-        const colorMode = this.config.colorMode;
+     * @param {number} distance - Distance from center
+     * @param {number} value - Value between 0 and 1
+     * @param {number} time - Current time
+     * @returns {number} Calculated hue (0-360)
+     */
+    getHue(x, y, distance, value, time = 0) {
+        const mode = colorModes[this.colorMode];
+        const colorTime = time * this.colorTimeScale;
+        const hue = mode
+            ? mode.hue(this.baseHue, x, y, distance, value, colorTime)
+            : this.baseHue + Math.sin(colorTime) * 30;
+        return ((hue % 360) + 360) % 360;
+    }
+
+    /**
+     * Calculate the color of a cell
+     * Without a palette this is the color mode's hue with the animation's saturation and
+     * lightness. A palette is sampled at `value` and supplies all three, since it already
+     * runs from its dark to its light end; the saturation setting scales it.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} distance - Distance from center
+     * @param {number} value - Value between 0 and 1
+     * @param {number} time - Current time
+     * @param {number} lightness - Lightness the animation picked (0-100)
+     * @param {number} saturation - Saturation the animation picked (0-100), defaults to the saturation setting
+     * @returns {Object} Color with hue, saturation and lightness
+     */
+    getColor(x, y, distance, value, time, lightness, saturation = this.saturation) {
+        if (!this.palette) {
+            return { hue: this.getHue(x, y, distance, value, time), saturation, lightness };
+        }
         
-        switch(colorMode) {
-            case 0: // Rainbow - full spectrum
-                return (baseHue + distance * 5 + time * 10) % 360;
-            case 1: // Monochrome - variations on base hue
-                return baseHue;
-            case 2: // Complementary - base hue and opposite
-                return value > 0.5 ? baseHue : (baseHue + 180) % 360;
-            case 3: // Gradient between two hues
-                return baseHue + value * 60; // 60 degree spread
-            default:
-                return baseHue;
-        }
-    }
-}
\ No newline at end of file
+        let rgb = samplePalette(this.palette, value);
+        if (this.targetPalette && this.paletteMix > 0) {
+            rgb = mixRgb(rgb, samplePalette(this.targetPalette, value), this.paletteMix);
+        }
+        const color = rgbToHsl(rgb.r, rgb.g, rgb.b);
+        color.saturation *= this.saturation / 100;
+        return color;
+    }
+
+    /**
+     * Get color as HSL string
+     * @param {number} hue - Hue (0-360)
+     * @param {number} saturation - Saturation (0-100)
+     * @param {number} lightness - Lightness (0-100)
+     * @returns {string} HSL color string
+     */
+    getHslString(hue, saturation = this.saturation, lightness = this.lightness) {
+        return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    }
+
+    /**
+     * Create a color object
+     * @param {number} hue - Hue (0-360)
+     * @param {number} saturation - Saturation (0-100)
+     * @param {number} lightness - Lightness (0-100)
+     * @returns {Object} Color object
+     */
+    createColor(hue, saturation = this.saturation, lightness = this.lightness) {
+        return { hue, saturation, lightness };
+    }
+}
@@ -67,24 +67,56 @@ export function radToDeg(radians) {
     return radians * 180 / Math.PI;
 }
 
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * getState() and setState() save and restore its position in the sequence.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = () => state;
+    random.setState = value => {
+        state = value >>> 0;
+    };
+    return random;
+}
+
+/**
+ * Generate a fresh seed for a new run
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
 /**
  * Generate a random number between min and max
+ * @param {Function} rng - Generator returning numbers in [0, 1), e.g. the engine's from createRandom
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
  * @returns {number} Random number
  */
-export function random(min, max) {
-    return Math.random() * (max - min) + min;
+export function random(rng, min, max) {
+    return rng() * (max - min) + min;
 }
 
 /**
  * Generate a random integer between min and max (inclusive)
+ * @param {Function} rng - Generator returning numbers in [0, 1), e.g. the engine's from createRandom
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(rng, min, max) {
+    return Math.floor(rng() * (max - min + 1)) + min;
 }
 
 /**
@@ -0,0 +1,169 @@
+/**
+ * Palettes - Color gradients sampled by the normalized value animations pass to the color manager
+ *
+ * A palette is a list of evenly spaced color stops in any format parseColor() accepts:
+ *   { id, name, stops: ['#440154', 'rgb(33, 145, 140)', 'hsl(54, 97%, 57%)'], stepped }
+ * Stepped palettes pick the nearest stop instead of blending, for fixed hardware palettes.
+ * `colorblindSafe` marks palettes that stay distinguishable with the common color vision deficiencies.
+ * The 'custom' palette takes its stops from config.customPalette.
+ */
+import { parseColor } from './color.js';
+
+// Id of the palette whose stops come from the config
+export const CUSTOM_PALETTE = 'custom';
+
+// Palette used in colorblind-safe mode when the chosen one is not safe
+export const COLORBLIND_SAFE_PALETTE = 'cividis';
+
+/**
+ * Registered palettes
+ */
+export const palettes = [];
+
+/**
+ * Register a palette
+ * @param {Object} palette - Palette
+ * @param {string} palette.id - Unique identifier
+ * @param {string} palette.name - Display name
+ * @param {Array} palette.stops - Color stops from value 0 to 1
+ * @param {boolean} palette.stepped - Pick the nearest stop instead of blending
+ * @param {boolean} palette.colorblindSafe - Whether colorblind-safe mode may use it
+ * @returns {boolean} Whether the palette was registered
+ */
+export function registerPalette(palette) {
+    if (!palette || typeof palette.id !== 'string') {
+        console.warn('Palette needs an id');
+        return false;
+    }
+    if (getPalette(palette.id)) {
+        console.warn(`Palette '${palette.id}' is already registered`);
+        return false;
+    }
+    palettes.push(palette);
+    return true;
+}
+
+/**
+ * Find a registered palette
+ * @param {string} id - Palette identifier
+ * @returns {Object|undefined} Palette
+ */
+export function getPalette(id) {
+    return palettes.find(palette => palette.id === id);
+}
+
+registerPalette({
+    id: 'viridis',
+    name: 'Viridis',
+    stops: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    colorblindSafe: true
+});
+
+registerPalette({
+    id: 'magma',
+    name: 'Magma',
+    stops: ['#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+    colorblindSafe: true
+});
+
+registerPalette({
+    id: 'synthwave',
+    name: 'Synthwave',
+    stops: ['#2b0f54', '#7a04eb', '#ff00a0', '#fe75fe', '#00f0ff']
+});
+
+registerPalette({
+    id: 'cga',
+    name: 'CGA',
+    stops: ['#000000', '#55ffff', '#ff55ff', '#ffffff'],
+    stepped: true
+});
+
+registerPalette({
+    id: 'amber',
+    name: 'Amber Terminal',
+    stops: ['#3d2200', '#7a4a00', '#ffb000', '#ffd27f'],
+    colorblindSafe: true
+});
+
+registerPalette({
+    id: 'cividis',
+    name: 'Cividis',
+    stops: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'],
+    colorblindSafe: true
+});
+
+registerPalette({
+    id: 'okabe-ito',
+    name: 'Okabe-Ito',
+    stops: ['#0072b2', '#56b4e9', '#009e73', '#f0e442', '#e69f00', '#d55e00', '#cc79a7'],
+    stepped: true,
+    colorblindSafe: true
+});
+
+registerPalette({
+    id: CUSTOM_PALETTE,
+    name: 'Custom',
+    stops: null
+});
+
+/**
+ * Pick the colors out of a text, e.g. a pasted list of hex codes
+ * @param {string} text - Colors separated by spaces, commas or anything else
+ * @returns {Array} Color strings
+ */
+export function parseColorList(text) {
+    return String(text).match(/#[0-9a-f]{3}(?:[0-9a-f]{3})?\b|(?:rgb|hsl)\([^)]*\)/gi) || [];
+}
+
+/**
+ * Parse a palette's stops into RGB colors ready for sampling
+ * @param {Array} stops - Color stops
+ * @param {boolean} stepped - Pick the nearest stop instead of blending
+ * @returns {Object|null} Prepared palette, or null if none of the stops could be parsed
+ */
+export function preparePalette(stops, stepped = false) {
+    const colors = (stops || []).map(stop => {
+        const color = parseColor(stop);
+        if (!color) console.warn(`Ignoring invalid palette color: ${stop}`);
+        return color;
+    }).filter(Boolean);
+
+    return colors.length > 0 ? { colors, stepped } : null;
+}
+
+/**
+ * Sample a prepared palette
+ * @param {Object} palette - Palette from preparePalette
+ * @param {number} value - Position between 0 and 1 (clamped)
+ * @returns {Object} RGB color with r, g, b in 0-255
+ */
+export function samplePalette(palette, value) {
+    const { colors } = palette;
+    const t = Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+
+    if (palette.stepped) {
+        return colors[Math.min(colors.length - 1, Math.floor(t * colors.length))];
+    }
+
+    const position = t * (colors.length - 1);
+    const index = Math.min(colors.length - 2, Math.floor(position));
+    if (index < 0) return colors[0];
+
+    return mixRgb(colors[index], colors[index + 1], position - index);
+}
+
+/**
+ * Blend two RGB colors
+ * @param {Object} a - Start color
+ * @param {Object} b - End color
+ * @param {number} t - Blend factor (0-1)
+ * @returns {Object} Blended RGB color
+ */
+export function mixRgb(a, b, t) {
+    return {
+        r: a.r + (b.r - a.r) * t,
+        g: a.g + (b.g - a.g) * t,
+        b: a.b + (b.b - a.b) * t
+    };
+}